@@ -0,0 +1,109 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Boot Scripts
+ *
+ * A preset's `boot` list replaces the usual launch (change to the game
+ * drive, type the autorun command) for games that need more: a setup
+ * menu answered, a CD into a subdirectory, a key past a title screen.
+ * Each step is one of
+ *   { wait: "text" | /regex/, timeout: ms }  until it is on screen
+ *   { type: "text", enter: false }           type, pressing Enter unless enter: false
+ *   { key: "Escape" }                        press a key from BOOT_SCRIPT_KEYS
+ *   { sleep: ms }                            pause
+ * Text waits ignore case. The status line shows the step being run, and
+ * where the script stopped if a wait times out.
+ * ═══════════════════════════════════════════ */
+
+const BOOT_STEP_KINDS = ["wait", "type", "key", "sleep"];
+
+function bootStepKind(step) {
+    return BOOT_STEP_KINDS.find(k => step && step[k] !== undefined);
+}
+
+/** "wait for “Press any key”", "type CD GAMES", "press Escape", "sleep 500 ms" */
+function describeBootStep(step) {
+    switch (bootStepKind(step)) {
+        case "wait":  return "wait for " + (step.wait instanceof RegExp ? String(step.wait) : "“" + step.wait + "”");
+        case "type":  return "type " + step.type;
+        case "key":   return "press " + step.key;
+        case "sleep": return "sleep " + step.sleep + " ms";
+        default:      return "unknown step";
+    }
+}
+
+/** Why a script can't run (the first bad step), or "" if it looks fine */
+function checkBootScript(steps) {
+    if (!Array.isArray(steps)) return "the boot script is not a list of steps";
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i], kind = bootStepKind(step);
+        const where = "step " + (i + 1) + ": ";
+        if (!kind) return where + "needs one of " + BOOT_STEP_KINDS.join(", ");
+        if (kind === "key" && BOOT_SCRIPT_KEYS[step.key] === undefined) return where + "unknown key " + step.key;
+        if (kind === "sleep" && !(step.sleep >= 0)) return where + "sleep needs a number of milliseconds";
+    }
+    return "";
+}
+
+/** True when the current screen shows a wait step's text */
+function bootScreenMatches(pattern) {
+    const rows = [];
+    for (let r = 0; r < ROWS; r++) rows.push(rowToString(r));
+    const screen = rows.join("\n");
+    if (pattern instanceof RegExp) return screen.search(pattern) >= 0;
+    return screen.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+async function runBootStep(step, emu) {
+    switch (bootStepKind(step)) {
+        case "wait": {
+            const timeout = step.timeout || BOOT_SCRIPT_WAIT_MS;
+            const deadline = Date.now() + timeout;
+            while (!bootScreenMatches(step.wait)) {
+                if (emulator !== emu) throw new Error("the emulator was restarted");
+                if (Date.now() > deadline) throw new Error("not on screen after " + Math.round(timeout / 1000) + " s");
+                await new Promise(r => setTimeout(r, 250));
+            }
+            break;
+        }
+        case "type":
+            await typeToDOS(String(step.type), step.enter !== false);
+            break;
+        case "key": {
+            const code = BOOT_SCRIPT_KEYS[step.key], make = code & 0xFF;
+            emu.keyboard_send_scancodes(code > 0xFF ? [0xE0, make, 0xE0, make | 0x80] : [make, make | 0x80]);
+            await new Promise(r => setTimeout(r, 100));
+            break;
+        }
+        case "sleep":
+            await new Promise(r => setTimeout(r, step.sleep));
+            break;
+    }
+}
+
+/**
+ * Run a boot script, showing each step in the status line. Throws an
+ * Error saying which step failed and why; steps before it have run.
+ */
+async function runBootScript(steps) {
+    const problem = checkBootScript(steps);
+    if (problem) throw new Error("Boot script not run: " + problem);
+    const emu = emulator;
+    for (let i = 0; i < steps.length; i++) {
+        const where = "step " + (i + 1) + " of " + steps.length + " (" + describeBootStep(steps[i]) + ")";
+        if (emulator !== emu) throw new Error("Boot script stopped before " + where + ": the emulator was restarted");
+        setStatus("ready", "Boot script " + where + "...");
+        trace("BOOT", "Script " + where);
+        try {
+            await runBootStep(steps[i], emu);
+        } catch (err) {
+            throw new Error("Boot script stopped at " + where + ": " + err.message);
+        }
+    }
+}
+
+/** The usual launch as a script: change to the game drive, then the autorun command */
+function defaultBootScript(gameDrive, autoCmd) {
+    /* The pause lets the drive change finish */
+    return [{ type: gameDrive }, { sleep: 1500 }, { type: autoCmd }];
+}
@@ -45,7 +45,15 @@ function sendCommand(text) {
     awaitingResponse = true;
     pendingChanges = [];
 
-    typeToDOS(text, true);
+    /* Commands type one after another, each after its undo snapshot. The
+       counts are taken now, before this command joins the history; an undo
+       bumps commandGeneration so commands still waiting aren't typed. */
+    const counts = { commands: commandHistory.length, responses: responseLog.length,
+                     historyEntries: historyLog.children.length };
+    const gen = commandGeneration;
+    commandQueue = commandQueue
+        .then(() => gen === commandGeneration && recordUndoPoint(text, counts))
+        .then(() => gen === commandGeneration && typeToDOS(text, true));
 
     if (text.trim()) {
         commandHistory.push(text);
@@ -1,7 +1,6 @@
 "use strict";
 
 /* ═══════ Constants ═══════ */
-const COLS = 80, ROWS = 25;
 const CP437 = [
     " ","\u263a","\u263b","\u2665","\u2666","\u2663","\u2660","\u2022",
     "\u25d8","\u25cb","\u25d9","\u2642","\u2640","\u266a","\u266b","\u263c",
@@ -57,9 +56,36 @@ const GAME_SETTING_DEFAULTS = {
     promptDepth: "last",
     diskType: "floppy",
     autorun: "",
-    singleKey: false
+    singleKey: false,
+    persistDisk: false,
+    fastBoot: true,
+    announceHighlight: true,
+    announceStatus: true,
+    statusRows: "auto",      /* status line rows: "auto", "off" or row numbers like "1" or "1,25" */
+    regions: [],             /* named screen regions (see regions.js) */
+    ocrMode: "grid",         /* graphics-mode text recognition: "off", "grid" or "scan" (slow) */
+    /* Machine profile (see machine.js) */
+    memoryMB: 32,
+    cpuThrottle: 0,          /* instructions per second, 0 = full speed */
+    acpi: false,
+    bootOrder: "floppy"
 };
 
+/* v86 boot_order values: each hex digit is a device (1 floppy, 2 hard disk, 3 CD), lowest first */
+const MACHINE_BOOT_ORDERS = {
+    floppy: 0x321,
+    hdd: 0x312
+};
+
+/* Memory the undo snapshots may use when the setting is missing */
+const UNDO_DEFAULT_MEMORY_MB = 256;
+
+/* Lines kept after they leave the screen when the setting is missing */
+const SCROLLBACK_DEFAULT_LINES = 5000;
+
+/* How often a persistent game disk is written back to IndexedDB */
+const DISK_PERSIST_INTERVAL_MS = 60000;
+
 /* Typing delay between characters sent to DOS */
 const CHAR_DELAY_MS = 30;
 
@@ -71,6 +97,19 @@ const MODIFIER_RELEASE = [
     0xB8,   /* Left Alt break */
 ];
 
+/* Keys a boot script can press: make codes (the break code adds 0x80).
+   0xE0xx are extended keys, sent with the 0xE0 prefix; without it the
+   arrows are keypad keys, which type digits with NumLock on */
+const BOOT_SCRIPT_KEYS = {
+    Enter: 0x1C, Escape: 0x01, Space: 0x39, Backspace: 0x0E, Tab: 0x0F,
+    Up: 0xE048, Down: 0xE050, Left: 0xE04B, Right: 0xE04D,
+    F1: 0x3B, F2: 0x3C, F3: 0x3D, F4: 0x3E, F5: 0x3F,
+    F6: 0x40, F7: 0x41, F8: 0x42, F9: 0x43, F10: 0x44,
+};
+
+/* How long a boot script "wait" step looks for its text by default */
+const BOOT_SCRIPT_WAIT_MS = 30000;
+
 /* TextCap TSR startup marker: ESC [ T C ] */
 const TC_MARKER = [0x1B, 0x5B, 0x54, 0x43, 0x5D];
 
@@ -80,10 +119,33 @@ const BORDER_STRIP_RE = /^[\s\u2500-\u256c\u2502\u250c\u2510\u2514\u2518\u251c\u
 /* Regex to strip border chars from the END of a line */
 const BORDER_STRIP_END_RE = /[\s\u2500-\u256c\u2502\u250c\u2510\u2514\u2518\u251c\u2524\u252c\u2534\u253c\u2550\u2551\u2554\u2557\u255a\u255d\u2560\u2563\u2566\u2569\u256c\u2591\u2592\u2593\u2588\u2584\u258c\u2590\u2580│║─═]+$/;
 
+/* Drive letters a disk can be mounted as, and the v86 option behind each */
+const DRIVE_SLOTS = {
+    "A:": { option: "fda", kind: "floppy" },
+    "B:": { option: "fdb", kind: "floppy" },
+    "C:": { option: "hda", kind: "hdd" },
+    "D:": { option: "hdb", kind: "hdd" },
+};
+
 /*
  * Known game presets: maps a disk image filename to default autorun
  * command and prompt character(s). Extend this list as you add games.
  * The player scans for each of these files via HEAD requests at startup.
+ * Multi-disk games list their other floppy images in order, e.g.
+ * disks: ["game-disk2.img", "game-disk3.img"]; they can be swapped into
+ * B: while the game runs. Extra drives next to the game disk are listed
+ * by letter, e.g. drives: { "B:": "saves.img", "D:": "utils.img" }.
+ * A machine profile overrides the defaults in GAME_SETTING_DEFAULTS, e.g.
+ * machine: { memoryMB: 4, cpuThrottle: 2700000, acpi: false, bootOrder: "floppy" }.
+ * Graphics-mode text recognition can be set with ocr: "off" | "grid" | "scan".
+ * Status line rows can be set with status: "auto" | "off" | "1" | "1,25" (-1 is the bottom row).
+ * Screen regions (see regions.js) are listed with bounds from 0, e.g.
+ * regions: [{ name: "Map", top: 0, left: 0, bottom: 11, right: 79, policy: "ignore" }].
+ * A boot script replaces the usual "drive letter, then autorun" launch
+ * with steps run in order (see boot-script.js), e.g.
+ * boot: [{ type: "C:" }, { type: "CD GAMES" }, { type: "SETUP" },
+ *        { wait: "Sound card", timeout: 10000 }, { key: "Enter" },
+ *        { wait: /press any key/i }, { key: "Space" }, { sleep: 500 }].
  */
 const KNOWN_GAMES = {
     "tzero-data.img":  { label: "T-Zero",        autorun: "T-ZERO.EXE",   prompt: "\u2666\u25ba", depth: "last",  disk: "floppy" },
@@ -0,0 +1,255 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Disk Image Builder
+ *
+ * Formats a blank FAT image in the browser and copies a folder or ZIP
+ * of DOS files onto it, replacing the dd / mkfs.vfat / mcopy steps in
+ * the README. Small games get a 1.44MB FAT12 floppy (B:); anything
+ * bigger gets a FAT16 hard disk with an MBR partition table (C:).
+ * The result goes through the same path as "Load Custom .img".
+ * ═══════════════════════════════════════════ */
+
+const FLOPPY_144_SECTORS = 2880;
+const HDD_HEADS = 16, HDD_SECTORS_PER_TRACK = 63; /* v86's IDE geometry */
+const HDD_SIZES_MB = [8, 16, 32, 64, 128, 256, 512];
+
+let builtImage = null; /* { name, buffer } of the last created image, for download */
+
+/** Upper-case, DOS-safe volume label, at most 11 characters */
+function makeVolumeLabel(name) {
+    const label = String(name || "").toUpperCase().replace(/[^A-Z0-9_\-]/g, "").substring(0, 11);
+    return label || "GAMEDISK";
+}
+
+/**
+ * Write a FAT boot sector (BPB) at off.
+ * bpb: { totalSectors, sectorsPerCluster, reservedSectors, rootDirEntries,
+ *        sectorsPerFAT, media, sectorsPerTrack, heads, hiddenSectors,
+ *        driveNumber, fatType, label }
+ */
+function writeBootSector(img, off, bpb) {
+    const view = new DataView(img.buffer, img.byteOffset);
+    img.set([0xEB, 0x3C, 0x90], off); /* jmp short over the BPB */
+    for (let c = 0; c < 8; c++) img[off + 3 + c] = "MSDOS5.0".charCodeAt(c);
+    view.setUint16(off + 11, 512, true);
+    img[off + 13] = bpb.sectorsPerCluster;
+    view.setUint16(off + 14, bpb.reservedSectors, true);
+    img[off + 16] = 2; /* FAT copies */
+    view.setUint16(off + 17, bpb.rootDirEntries, true);
+    view.setUint16(off + 19, bpb.totalSectors < 0x10000 ? bpb.totalSectors : 0, true);
+    img[off + 21] = bpb.media;
+    view.setUint16(off + 22, bpb.sectorsPerFAT, true);
+    view.setUint16(off + 24, bpb.sectorsPerTrack, true);
+    view.setUint16(off + 26, bpb.heads, true);
+    view.setUint32(off + 28, bpb.hiddenSectors, true);
+    view.setUint32(off + 32, bpb.totalSectors < 0x10000 ? 0 : bpb.totalSectors, true);
+    img[off + 36] = bpb.driveNumber;
+    img[off + 38] = 0x29; /* extended boot signature */
+    view.setUint32(off + 39, (Date.now() / 1000) >>> 0, true); /* volume serial */
+    const label = bpb.label.padEnd(11, " ");
+    for (let c = 0; c < 11; c++) img[off + 43 + c] = label.charCodeAt(c);
+    const fsName = ("FAT" + bpb.fatType).padEnd(8, " ");
+    for (let c = 0; c < 8; c++) img[off + 54 + c] = fsName.charCodeAt(c);
+    /* Not bootable: INT 18h hands control back to the BIOS */
+    img.set([0xCD, 0x18], off + 62);
+    img[off + 510] = 0x55; img[off + 511] = 0xAA;
+}
+
+/** Cylinder/head/sector bytes for an MBR partition entry (clamped past cylinder 1023) */
+function lbaToCHS(lba) {
+    let cyl = Math.floor(lba / (HDD_HEADS * HDD_SECTORS_PER_TRACK));
+    let head = Math.floor(lba / HDD_SECTORS_PER_TRACK) % HDD_HEADS;
+    let sector = (lba % HDD_SECTORS_PER_TRACK) + 1;
+    if (cyl > 1023) { cyl = 1023; head = HDD_HEADS - 1; sector = HDD_SECTORS_PER_TRACK; }
+    return [head, sector | ((cyl >> 2) & 0xC0), cyl & 0xFF];
+}
+
+/**
+ * Create a blank, formatted FAT image.
+ * kind "floppy" makes a 1.44MB FAT12 diskette; kind "hdd" makes a FAT16
+ * hard disk of sizeMB with one active partition starting at sector 63.
+ * Returns a Uint8Array, or null if sizeMB can't hold a FAT16 volume.
+ */
+function formatFATImage(kind, sizeMB, label) {
+    if (kind === "floppy") {
+        const img = new Uint8Array(FLOPPY_144_SECTORS * 512);
+        const bpb = {
+            totalSectors: FLOPPY_144_SECTORS, sectorsPerCluster: 1, reservedSectors: 1,
+            rootDirEntries: 224, sectorsPerFAT: 9, media: 0xF0,
+            sectorsPerTrack: 18, heads: 2, hiddenSectors: 0, driveNumber: 0x00,
+            fatType: 12, label: makeVolumeLabel(label)
+        };
+        writeBootSector(img, 0, bpb);
+        for (const fat of [1, 10]) img.set([0xF0, 0xFF, 0xFF], fat * 512);
+        return img;
+    }
+
+    /* Whole cylinders, so DOS and the BIOS agree on the size */
+    const cylSectors = HDD_HEADS * HDD_SECTORS_PER_TRACK;
+    const diskSectors = Math.floor(sizeMB * 2048 / cylSectors) * cylSectors;
+    const partStart = HDD_SECTORS_PER_TRACK;
+    const partSectors = diskSectors - partStart;
+    const reserved = 1, rootEntries = 512, rootSectors = rootEntries * 32 / 512;
+
+    /* Smallest cluster size that keeps the cluster count in FAT16 range */
+    let spc = 0, sectorsPerFAT = 0;
+    for (let s = 1; s <= 64; s *= 2) {
+        let fatSecs = 1;
+        for (let pass = 0; pass < 3; pass++) {
+            const clusters = Math.floor((partSectors - reserved - 2 * fatSecs - rootSectors) / s);
+            fatSecs = Math.ceil((clusters + 2) * 2 / 512);
+        }
+        const clusters = Math.floor((partSectors - reserved - 2 * fatSecs - rootSectors) / s);
+        if (clusters >= 4085 && clusters < 65525) { spc = s; sectorsPerFAT = fatSecs; break; }
+    }
+    if (!spc) return null;
+
+    const img = new Uint8Array(diskSectors * 512);
+
+    /* MBR: a single active partition, FAT16 (type 04 under 32MB, 06 above) */
+    const pe = 446;
+    img[pe] = 0x80;
+    img.set(lbaToCHS(partStart), pe + 1);
+    img[pe + 4] = partSectors < 65536 ? 0x04 : 0x06;
+    img.set(lbaToCHS(partStart + partSectors - 1), pe + 5);
+    writeU32(img, pe + 8, partStart);
+    writeU32(img, pe + 12, partSectors);
+    img[510] = 0x55; img[511] = 0xAA;
+
+    const bootOff = partStart * 512;
+    writeBootSector(img, bootOff, {
+        totalSectors: partSectors, sectorsPerCluster: spc, reservedSectors: reserved,
+        rootDirEntries: rootEntries, sectorsPerFAT, media: 0xF8,
+        sectorsPerTrack: HDD_SECTORS_PER_TRACK, heads: HDD_HEADS, hiddenSectors: partStart,
+        driveNumber: 0x80, fatType: 16, label: makeVolumeLabel(label)
+    });
+    for (let f = 0; f < 2; f++) {
+        img.set([0xF8, 0xFF, 0xFF, 0xFF], bootOff + (reserved + f * sectorsPerFAT) * 512);
+    }
+    return img;
+}
+
+/**
+ * Copy files onto a formatted image, creating folders as needed.
+ * files: [{ path: "GAME/DATA/LEVEL1.DAT", data: Uint8Array, isDir, modified }].
+ * Returns false as soon as something doesn't fit.
+ */
+function copyFilesToImage(img, files) {
+    const geo = parseFATGeometry(img);
+    if (!geo) return false;
+    for (const f of files) {
+        const parts = f.path.split(/[\\/]+/).filter(Boolean);
+        const dirCount = f.isDir ? parts.length : parts.length - 1;
+        for (let i = 1; i <= dirCount; i++) {
+            const dirPath = parts.slice(0, i).join("\\");
+            const existing = findFATEntry(img, geo, dirPath);
+            if (existing && existing.isDir) continue;
+            if (!makeFATDir(img, geo, dirPath)) return false;
+        }
+        if (!f.isDir && !writeFATFile(img, geo, parts.join("\\"), f.data, f.modified)) return false;
+    }
+    return true;
+}
+
+/**
+ * Build a disk image holding the given files: a floppy if they fit,
+ * otherwise the smallest hard disk with room to spare for saved games.
+ * Returns { image, diskType: "floppy" | "hdd" } or null if too big.
+ */
+function buildDiskImage(files, label) {
+    const total = files.reduce((sum, f) => sum + (f.isDir ? 0 : f.data.length), 0);
+
+    const floppy = formatFATImage("floppy", 0, label);
+    if (copyFilesToImage(floppy, files)) return { image: floppy, diskType: "floppy" };
+
+    for (const mb of HDD_SIZES_MB) {
+        if (mb * 1024 * 1024 < total * 2) continue; /* leave room to grow */
+        const hdd = formatFATImage("hdd", mb, label);
+        if (hdd && copyFilesToImage(hdd, files)) return { image: hdd, diskType: "hdd" };
+    }
+    return null;
+}
+
+/* ── Setup section UI ── */
+
+/**
+ * Build an image from the chosen files and load it like a custom .img.
+ * sourceName names the result ("mygame" -> "mygame.img").
+ */
+function finishDiskBuild(files, sourceName) {
+    const baseName = sourceName.replace(/\.[^.]*$/, "") || "game";
+    /* Skip Mac/Unix housekeeping (.DS_Store, __MACOSX) that DOS has no use for */
+    files = files.filter(f => !f.path.split("/").some(p => p.charAt(0) === "." || p === "__MACOSX"));
+    const fileCount = files.filter(f => !f.isDir).length;
+    if (fileCount === 0) {
+        setStatus("error", "No files found in " + sourceName + ".");
+        return;
+    }
+    const built = buildDiskImage(files, baseName);
+    if (!built) {
+        setStatus("error", "Those files are too large for a " + HDD_SIZES_MB[HDD_SIZES_MB.length - 1] + "MB hard disk image.");
+        return;
+    }
+
+    const imgName = baseName + ".img";
+    builtImage = { name: imgName, buffer: built.image.buffer };
+    diskTypeSelect.value = built.diskType;
+    loadCustomImage(imgName, built.image.buffer);
+    downloadBuiltImgBtn.disabled = false;
+
+    const where = built.diskType === "hdd"
+        ? (built.image.length / (1024 * 1024)).toFixed(0) + "MB hard disk (C:)"
+        : "1.44MB floppy (B:)";
+    const msg = "Created " + imgName + ": " + fileCount + " file(s) on a " + where + ". Ready to boot.";
+    setStatus("ready", msg);
+}
+
+/** Folder picker: webkitRelativePath is "Folder/sub/FILE.EXT"; drop the top folder */
+async function buildImageFromFolder(fileList) {
+    if (!fileList.length) return;
+    const rootName = (fileList[0].webkitRelativePath || "").split("/")[0] || "game";
+    setStatus("loading", "Reading " + fileList.length + " file(s) from " + rootName + "...");
+    const files = [];
+    for (const f of fileList) {
+        const rel = (f.webkitRelativePath || f.name).split("/").slice(1).join("/") || f.name;
+        files.push({ path: rel, isDir: false, data: new Uint8Array(await f.arrayBuffer()),
+                     modified: new Date(f.lastModified) });
+    }
+    finishDiskBuild(files, rootName);
+}
+
+/** ZIP picker: a single top-level folder inside the archive is dropped too */
+async function buildImageFromZip(file) {
+    setStatus("loading", "Unpacking " + file.name + "...");
+    let entries;
+    try {
+        entries = await readZip(await file.arrayBuffer());
+    } catch (err) {
+        setStatus("error", "Could not read " + file.name + ": " + err.message);
+        return;
+    }
+    const tops = new Set(entries.map(e => e.path.split("/")[0]));
+    if (tops.size === 1 && entries.every(e => e.path.indexOf("/") > 0)) {
+        const top = [...tops][0] + "/";
+        entries = entries.map(e => Object.assign({}, e, { path: e.path.substring(top.length) }))
+                         .filter(e => e.path);
+    }
+    finishDiskBuild(entries, file.name);
+}
+
+buildFromFolderBtn.addEventListener("click", () => buildFolderInput.click());
+buildFolderInput.addEventListener("change", function() {
+    buildImageFromFolder(Array.from(this.files));
+    this.value = "";
+});
+buildFromZipBtn.addEventListener("click", () => buildZipInput.click());
+buildZipInput.addEventListener("change", function() {
+    if (this.files.length) buildImageFromZip(this.files[0]);
+    this.value = "";
+});
+downloadBuiltImgBtn.addEventListener("click", function() {
+    if (!builtImage) return;
+    triggerDownload(new Uint8Array(builtImage.buffer), builtImage.name, "application/octet-stream");
+    announce("Downloaded " + builtImage.name + ".");
+});
@@ -0,0 +1,230 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Disk Patches
+ *
+ * A patch holds only the sectors where the live game disk differs from
+ * the original image, so progress or mods can be shared without the
+ * whole image. It is tied to its base by a CRC-32 and never applied to
+ * an image with a different checksum.
+ *
+ * File format (.dpatch), all integers little-endian:
+ *   0   8  magic "DOSPATCH"
+ *   8   2  format version (1)
+ *   10  2  sector size in bytes (512)
+ *   12  4  length of the base image in bytes (the patched image is the same length)
+ *   16  4  CRC-32 of the base image
+ *   20  4  CRC-32 of the patched image
+ *   24  4  number of runs
+ *   28  2  length of the base image name, then the name in UTF-8 (informational)
+ *   then, for each run of consecutive changed sectors:
+ *       4  first sector number
+ *       4  sector count
+ *       sector count * sector size bytes of new data
+ * The last run may extend past the end of an image whose length is not
+ * a multiple of the sector size; the extra bytes are ignored.
+ * ═══════════════════════════════════════════ */
+
+const DISK_PATCH_MAGIC = "DOSPATCH";
+const DISK_PATCH_VERSION = 1;
+const DISK_PATCH_SECTOR = 512;
+
+let pendingDiskPatch = null; /* { fileName, patch } chosen in Setup, applied at the next boot */
+
+/**
+ * Build a patch turning base into current (same-length Uint8Arrays).
+ * Returns { bytes: Uint8Array, sectors: number of changed sectors }.
+ */
+function makeDiskPatch(base, current, baseName) {
+    if (base.length !== current.length) throw new Error("The disk size changed, so it cannot be patched");
+    const ss = DISK_PATCH_SECTOR;
+    const sectorCount = Math.ceil(base.length / ss);
+    const runs = [];
+    let run = null;
+    for (let s = 0; s < sectorCount; s++) {
+        const start = s * ss, end = Math.min(start + ss, base.length);
+        let same = true;
+        for (let i = start; i < end; i++) {
+            if (base[i] !== current[i]) { same = false; break; }
+        }
+        if (same) { run = null; continue; }
+        if (!run) { run = { sector: s, count: 0 }; runs.push(run); }
+        run.count++;
+    }
+
+    const nameBytes = new TextEncoder().encode(baseName || "");
+    let size = 30 + nameBytes.length;
+    for (const r of runs) size += 8 + r.count * ss;
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    for (let c = 0; c < 8; c++) out[c] = DISK_PATCH_MAGIC.charCodeAt(c);
+    view.setUint16(8, DISK_PATCH_VERSION, true);
+    view.setUint16(10, ss, true);
+    view.setUint32(12, base.length, true);
+    view.setUint32(16, crc32(base), true);
+    view.setUint32(20, crc32(current), true);
+    view.setUint32(24, runs.length, true);
+    view.setUint16(28, nameBytes.length, true);
+    out.set(nameBytes, 30);
+    let pos = 30 + nameBytes.length;
+    let sectors = 0;
+    for (const r of runs) {
+        view.setUint32(pos, r.sector, true);
+        view.setUint32(pos + 4, r.count, true);
+        pos += 8;
+        out.set(current.subarray(r.sector * ss, Math.min((r.sector + r.count) * ss, current.length)), pos);
+        pos += r.count * ss;
+        sectors += r.count;
+    }
+    return { bytes: out, sectors };
+}
+
+/**
+ * Parse a patch file. Returns { sectorSize, baseLength, baseCrc,
+ * resultCrc, baseName, runs: [{ sector, count, data }] }.
+ * Throws an Error with a readable message if it isn't a valid patch.
+ */
+function readDiskPatch(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 30 || String.fromCharCode.apply(null, bytes.subarray(0, 8)) !== DISK_PATCH_MAGIC) {
+        throw new Error("Not a disk patch file");
+    }
+    const version = view.getUint16(8, true);
+    if (version !== DISK_PATCH_VERSION) throw new Error("Unsupported patch version " + version);
+    const sectorSize = view.getUint16(10, true);
+    const nameLen = view.getUint16(28, true);
+    const patch = {
+        sectorSize,
+        baseLength: view.getUint32(12, true),
+        baseCrc: view.getUint32(16, true),
+        resultCrc: view.getUint32(20, true),
+        baseName: new TextDecoder().decode(bytes.subarray(30, 30 + nameLen)),
+        runs: []
+    };
+    let pos = 30 + nameLen;
+    const runCount = view.getUint32(24, true);
+    for (let n = 0; n < runCount; n++) {
+        if (pos + 8 > bytes.length) throw new Error("Patch file is truncated");
+        const sector = view.getUint32(pos, true), count = view.getUint32(pos + 4, true);
+        pos += 8;
+        const len = count * sectorSize;
+        if (pos + len > bytes.length || sector * sectorSize >= patch.baseLength) throw new Error("Patch file is damaged");
+        patch.runs.push({ sector, count, data: bytes.subarray(pos, pos + len) });
+        pos += len;
+    }
+    return patch;
+}
+
+/**
+ * Apply a parsed patch to a copy of base. Throws if base isn't the image
+ * the patch was made from, or if the result doesn't check out.
+ * Returns the patched Uint8Array.
+ */
+function applyDiskPatch(base, patch) {
+    if (base.length !== patch.baseLength || crc32(base) !== patch.baseCrc) {
+        throw new Error("This patch was made for a different disk image" +
+                        (patch.baseName ? " (" + patch.baseName + ")" : ""));
+    }
+    const out = new Uint8Array(base);
+    for (const r of patch.runs) {
+        const start = r.sector * patch.sectorSize;
+        out.set(r.data.subarray(0, Math.min(r.data.length, out.length - start)), start);
+    }
+    if (crc32(out) !== patch.resultCrc) throw new Error("Patched disk failed its checksum");
+    return out;
+}
+
+/**
+ * The game disk as it was before this session changed it: the custom
+ * image's untouched buffer, or a fresh download of the known image.
+ */
+async function getOriginalDiskBytes() {
+    if (!bootDisk) return null;
+    if (bootDisk.blob) return new Uint8Array(bootDisk.blob);
+    const resp = await fetch(bootDisk.name, { cache: "no-cache" });
+    if (!resp.ok) throw new Error("Could not fetch " + bootDisk.name);
+    return new Uint8Array(await resp.arrayBuffer());
+}
+
+/* ── UI ── */
+
+/** File Manager: download the changes made to the game disk as a patch */
+async function downloadDiskPatch() {
+    const current = getDiskBytes();
+    if (!current || !bootDisk) { fmStatus.textContent = "Cannot read disk."; return; }
+    if (!gameDiskInDrive()) {
+        fmStatus.textContent = "Put the game disk back in drive B: to make a patch.";
+        announce(fmStatus.textContent);
+        return;
+    }
+    fmStatus.textContent = "Comparing with the original image...";
+    try {
+        const base = await getOriginalDiskBytes();
+        const made = makeDiskPatch(base, current, bootDisk.name);
+        if (made.sectors === 0) {
+            fmStatus.textContent = "The disk has not changed; there is nothing to patch.";
+        } else {
+            const patchName = bootDisk.name.replace(/\.[^.]*$/, "") + ".dpatch";
+            triggerDownload(made.bytes, patchName, "application/octet-stream");
+            fmStatus.textContent = "Downloaded " + patchName + ": " + made.sectors + " changed sector(s), " +
+                formatSize(made.bytes.length) + ".";
+        }
+    } catch (e) {
+        fmStatus.textContent = "Could not make a patch: " + e.message;
+    }
+    announce(fmStatus.textContent);
+}
+
+/** Setup: queue a patch file to apply when the game next boots */
+async function chooseDiskPatch(file) {
+    try {
+        const patch = readDiskPatch(await file.arrayBuffer());
+        pendingDiskPatch = { fileName: file.name, patch };
+        const sectors = patch.runs.reduce((sum, r) => sum + r.count, 0);
+        diskPatchStatus.textContent = file.name + " (" + sectors + " sector(s)" +
+            (patch.baseName ? ", for " + patch.baseName : "") + ") will be applied at the next boot.";
+        clearDiskPatchBtn.disabled = false;
+    } catch (e) {
+        pendingDiskPatch = null;
+        diskPatchStatus.textContent = "Could not read " + file.name + ": " + e.message;
+    }
+    announce(diskPatchStatus.textContent);
+}
+
+function clearDiskPatch() {
+    pendingDiskPatch = null;
+    diskPatchStatus.textContent = "";
+    clearDiskPatchBtn.disabled = true;
+    announce("Patch removed.");
+}
+
+/**
+ * Boot: apply the queued patch to a fresh copy of the original image.
+ * Returns the patched ArrayBuffer, or null if no patch is queued.
+ * Throws (and keeps the patch queued) if the checksums don't match.
+ */
+async function applyPendingDiskPatch(imgName, blob) {
+    if (!pendingDiskPatch) return null;
+    let base;
+    if (blob) {
+        base = new Uint8Array(blob);
+    } else {
+        const resp = await fetch(imgName);
+        if (!resp.ok) throw new Error("Could not fetch " + imgName);
+        base = new Uint8Array(await resp.arrayBuffer());
+    }
+    const patched = applyDiskPatch(base, pendingDiskPatch.patch);
+    trace("PATCH", "Applied " + pendingDiskPatch.fileName + " to " + imgName);
+    pendingDiskPatch = null;
+    diskPatchStatus.textContent = "";
+    clearDiskPatchBtn.disabled = true;
+    return patched.buffer;
+}
+
+applyPatchBtn.addEventListener("click", () => diskPatchInput.click());
+diskPatchInput.addEventListener("change", function() {
+    if (this.files.length) chooseDiskPatch(this.files[0]);
+    this.value = "";
+});
+clearDiskPatchBtn.addEventListener("click", clearDiskPatch);
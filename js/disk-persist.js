@@ -0,0 +1,121 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Persistent Game Disks
+ *
+ * With the per-game "persistent disk" option on, whatever the game
+ * writes to its disk (saves, config, high scores) is copied into
+ * IndexedDB every DISK_PERSIST_INTERVAL_MS and when the page is hidden
+ * or closed. The next boot mounts that copy instead of the original
+ * image until "Reset Disk to Original" deletes it.
+ * ═══════════════════════════════════════════ */
+
+let persistGameKey = "";      /* game whose disk is mounted, captured at boot */
+let persistTimer = null;
+let persistSuspended = false; /* set by a reset so the running disk isn't stored again */
+
+/**
+ * The stored disk to boot from for the selected game, as an ArrayBuffer,
+ * or null to use the original image. Only used when the option is on and
+ * the copy was made for the same disk type.
+ */
+async function loadPersistedDisk() {
+    if (!persistDiskToggle.checked || !gameSelect.value || !fileDB) return null;
+    try {
+        const record = await getDiskRecord(gameSelect.value);
+        if (!record || record.diskType !== diskTypeSelect.value) return null;
+        trace("PERSIST", "Mounting saved disk for " + record.game + " from " + new Date(record.timestamp).toLocaleString());
+        return record.data;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Watch the running game disk for writes and store it periodically.
+ * v86 writes go through the disk buffer's set(); File Manager edits
+ * go through replaceDiskImage. Both mark the disk dirty.
+ */
+function startDiskPersistence() {
+    persistGameKey = gameSelect.value;
+    persistSuspended = false;
+    diskDirty = false;
+    try {
+        const dev = getDriveDevice(gameDriveLetter());
+        const buf = dev && dev.buffer;
+        if (buf && typeof buf.set === "function" && !buf.persistWrapped) {
+            const origSet = buf.set;
+            buf.set = function() {
+                diskDirty = true;
+                return origSet.apply(this, arguments);
+            };
+            buf.persistWrapped = true;
+        }
+    } catch (e) {
+        trace("PERSIST", "Could not watch disk writes: " + e.message);
+    }
+    if (persistTimer) clearInterval(persistTimer);
+    persistTimer = setInterval(persistCurrentDisk, DISK_PERSIST_INTERVAL_MS);
+}
+
+/** Store the running game disk if it changed and the option is on */
+async function persistCurrentDisk() {
+    if (!emulator || !diskDirty || persistSuspended || !persistGameKey) return;
+    if (!persistDiskToggle.checked || gameSelect.value !== persistGameKey || !fileDB) return;
+    if (!gameDiskInDrive()) return; /* another disk of a multi-disk game is in B: */
+    const img = getDiskBytes();
+    if (!img) return;
+    diskDirty = false;
+    try {
+        await saveDiskRecord(persistGameKey, img.slice().buffer, diskTypeSelect.value);
+        trace("PERSIST", "Stored disk for " + persistGameKey + " (" + formatSize(img.length) + ")");
+        updatePersistDiskStatus();
+    } catch (e) {
+        diskDirty = true; /* try again next time */
+        trace("PERSIST", "Failed to store disk: " + e.message);
+    }
+}
+
+/** Describe the stored disk (if any) for the selected game under the option */
+async function updatePersistDiskStatus() {
+    persistDiskStatus.textContent = "";
+    resetDiskBtn.disabled = true;
+    if (!gameSelect.value || !fileDB) return;
+    try {
+        const record = await getDiskRecord(gameSelect.value);
+        if (!record) return;
+        resetDiskBtn.disabled = false;
+        persistDiskStatus.textContent = "Saved disk from " + new Date(record.timestamp).toLocaleString() +
+            (persistDiskToggle.checked ? " will be used at boot." : " (not used while the option is off).");
+    } catch (e) {}
+}
+
+/** Delete the stored disk so the next boot uses the original image */
+async function resetPersistedDisk() {
+    const game = gameSelect.value;
+    if (!game || !window.confirm("Delete the saved disk for " + game + "? Everything the game wrote to it will be lost.")) return;
+    try {
+        await deleteDiskRecord(game);
+    } catch (e) {
+        announce("Could not delete the saved disk.");
+        return;
+    }
+    let msg = "Saved disk deleted. The next boot uses the original image.";
+    if (emulator && persistGameKey === game) {
+        persistSuspended = true;
+        msg += " Changes in this session will not be saved.";
+    }
+    updatePersistDiskStatus();
+    announce(msg);
+}
+
+/* Store when the page is hidden: it fires before pagehide and unload, so the
+   IndexedDB write has the best chance to finish, though a closing tab may still
+   cut it short (the minute timer is the real safety net) */
+document.addEventListener("visibilitychange", function() {
+    if (document.visibilityState === "hidden") persistCurrentDisk();
+});
+
+resetDiskBtn.addEventListener("click", resetPersistedDisk);
+persistDiskToggle.addEventListener("change", updatePersistDiskStatus);
+gameSelect.addEventListener("change", updatePersistDiskStatus);
@@ -0,0 +1,192 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Disk Swapping (multi-disk games)
+ *
+ * Games that came on several floppies ask for "disk 2" part way
+ * through. A preset lists the other images in `disks`, and more can be
+ * added in Setup; while the game runs, "Change Disk" ejects whatever is
+ * in B: (or A:) and inserts another image through v86's floppy
+ * controller. Inserting raises the drive's change line, so DOS rereads
+ * the directory instead of trusting its cache. Each image keeps its own
+ * buffer for the session, so writes survive taking it out and back in.
+ * ═══════════════════════════════════════════ */
+
+let extraDisks = [];   /* [{ name, data: ArrayBuffer }] added in Setup for the next boot */
+let diskSet = [];      /* this session's floppies: [{ name, label, url, data, live }] */
+let driveContents = [null, null]; /* diskSet index in A: and B:, or null when empty */
+
+/**
+ * Build the session's disk list at boot: the FreeDOS disk (A:), the
+ * game disk when it is a floppy or else any disk mapped to B:, then the
+ * preset's other disks and any added in Setup. `live` holds the drive
+ * buffer once inserted.
+ */
+function initDiskSet() {
+    const fdc = emulator.v86.cpu.devices.fdc;
+    const preset = KNOWN_GAMES[gameSelect.value];
+    diskSet = [{ name: "freedos722.img", label: "FreeDOS boot disk", url: "freedos722.img", live: fdc.drives[0].buffer }];
+    driveContents = [0, null];
+    if (mountedDrives["B:"]) {
+        const label = gameDriveLetter() === "B:" ? "Game disk" : "Disk 1";
+        diskSet.push({ name: mountedDrives["B:"], label, live: fdc.drives[1].buffer });
+        driveContents[1] = 1;
+    }
+    for (const name of (preset && preset.disks) || []) {
+        if (name !== gameSelect.value) diskSet.push({ name, label: "Disk " + diskSet.length, url: name, live: null });
+    }
+    for (const d of extraDisks) {
+        diskSet.push({ name: d.name, label: "Disk " + diskSet.length, data: d.data, live: null });
+    }
+    updateSwapDiskSelect();
+}
+
+/** True while the disk the game booted from is the one getDiskBytes reads */
+function gameDiskInDrive() {
+    return gameDriveLetter() !== "B:" || driveContents[1] === 1;
+}
+
+function describeDisk(index) {
+    const d = diskSet[index];
+    return d.label + " (" + d.name + ")";
+}
+
+/** Fill the Change Disk selector, marking the drive each disk is in */
+function updateSwapDiskSelect() {
+    const keep = swapDiskSelect.value;
+    swapDiskSelect.innerHTML = "";
+    diskSet.forEach((d, i) => {
+        const o = document.createElement("option");
+        o.value = String(i);
+        const where = driveContents.indexOf(i);
+        o.textContent = describeDisk(i) + (where >= 0 ? " — in " + "AB"[where] + ":" : "");
+        swapDiskSelect.appendChild(o);
+    });
+    if (keep && swapDiskSelect.querySelector('option[value="' + keep + '"]')) swapDiskSelect.value = keep;
+}
+
+/** The bytes to insert for a disk that hasn't been in a drive yet */
+async function loadSwapDisk(disk) {
+    if (disk.data) return new Uint8Array(disk.data.slice(0));
+    const resp = await fetch(disk.url);
+    if (!resp.ok) throw new Error("Could not fetch " + disk.url);
+    return new Uint8Array(await resp.arrayBuffer());
+}
+
+/**
+ * Put diskSet[index] in drive 0 (A:) or 1 (B:), taking out whatever was
+ * there. A disk already in the other drive is moved. Announces the result.
+ */
+async function changeDisk(index, driveNum) {
+    if (!emulator || !diskSet[index]) return;
+    const drive = emulator.v86.cpu.devices.fdc.drives[driveNum];
+    const letter = "AB"[driveNum] + ":";
+    const disk = diskSet[index];
+    if (driveContents[driveNum] === index) {
+        announce(describeDisk(index) + " is already in drive " + letter + ".");
+        return;
+    }
+
+    /* Store the game disk before it can leave the drive */
+    if (gameDiskInDrive()) await persistCurrentDisk();
+
+    try {
+        if (!disk.live) disk.live = await loadSwapDisk(disk);
+    } catch (e) {
+        announce("Could not load " + disk.name + ": " + e.message);
+        return;
+    }
+    const other = 1 - driveNum;
+    if (driveContents[other] === index) {
+        emulator.v86.cpu.devices.fdc.drives[other].eject_disk();
+        driveContents[other] = null;
+        afterDiskChange(other);
+    }
+    drive.eject_disk();
+    if (!drive.insert_disk(disk.live)) {
+        driveContents[driveNum] = null;
+        disk.live = null;
+        announce(disk.name + " is not a floppy image size v86 recognizes. Drive " + letter + " is now empty.");
+        afterDiskChange(driveNum);
+        return;
+    }
+    /* insert_disk wraps a Uint8Array in a buffer object; keep that one */
+    disk.live = drive.buffer;
+    driveContents[driveNum] = index;
+    trace("DISK", "Inserted " + disk.name + " in " + letter);
+    afterDiskChange(driveNum);
+    announce(describeDisk(index) + " is now in drive " + letter + "." +
+             (driveNum === 0 ? " Put the FreeDOS boot disk back before DOS needs it." : ""));
+}
+
+/** Take the disk out of a drive, leaving it empty */
+async function ejectDisk(driveNum) {
+    if (!emulator) return;
+    const letter = "AB"[driveNum] + ":";
+    const index = driveContents[driveNum];
+    if (index === null) { announce("Drive " + letter + " is already empty."); return; }
+    if (gameDiskInDrive()) await persistCurrentDisk();
+    emulator.v86.cpu.devices.fdc.drives[driveNum].eject_disk();
+    driveContents[driveNum] = null;
+    trace("DISK", "Ejected " + diskSet[index].name + " from " + letter);
+    afterDiskChange(driveNum);
+    announce(describeDisk(index) + " ejected. Drive " + letter + " is empty.");
+}
+
+/**
+ * Keep the drive list in step with a drive's new contents; if the File
+ * Manager was showing that drive, start it over at the root.
+ */
+function afterDiskChange(driveNum) {
+    const letter = "AB"[driveNum] + ":";
+    const index = driveContents[driveNum];
+    mountedDrives[letter] = index === null ? "(empty)" : diskSet[index].name;
+    updateSwapDiskSelect();
+    fillDriveSelect(fmDriveSelect, gameDriveLetter());
+    fillDriveSelect(transcriptDriveSelect, gameDriveLetter());
+    fillDriveSelect(traceFSDriveSelect, gameDriveLetter());
+    if (fmDrive === letter) {
+        fmDirPath = "";
+        if (fmTable.style.display !== "none") refreshFileManager();
+    }
+}
+
+/** READ mode "d": put the next disk of the set in B: */
+function changeToNextDisk() {
+    if (!emulator) return;
+    /* Cycle through everything but the FreeDOS disk, skipping what's in A: or B: */
+    const current = driveContents[1] === null ? 0 : driveContents[1];
+    for (let step = 1; step < diskSet.length; step++) {
+        const i = (current + step) % diskSet.length;
+        if (i !== 0 && driveContents.indexOf(i) < 0) { changeDisk(i, 1); return; }
+    }
+    speak("No other disks for this game.");
+}
+
+/* ── Setup: extra disks for the next boot ── */
+
+async function addExtraDisks(files) {
+    for (const f of files) extraDisks.push({ name: f.name, data: await f.arrayBuffer() });
+    showExtraDisks();
+    announce(files.length + " disk image(s) added. Use Change Disk while the game runs to insert them.");
+}
+
+function clearExtraDisks() {
+    extraDisks = [];
+    showExtraDisks();
+    announce("Extra disks removed.");
+}
+
+function showExtraDisks() {
+    extraDisksStatus.textContent = extraDisks.map(d => d.name).join(", ");
+    clearExtraDisksBtn.disabled = extraDisks.length === 0;
+}
+
+swapDiskBtn.addEventListener("click", () => changeDisk(Number(swapDiskSelect.value), Number(swapDriveSelect.value)));
+ejectDiskBtn.addEventListener("click", () => ejectDisk(Number(swapDriveSelect.value)));
+addExtraDisksBtn.addEventListener("click", () => extraDisksInput.click());
+extraDisksInput.addEventListener("change", function() {
+    if (this.files.length) addExtraDisks(Array.from(this.files));
+    this.value = "";
+});
+clearExtraDisksBtn.addEventListener("click", clearExtraDisks);
@@ -0,0 +1,101 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Drive Mapping
+ *
+ * Besides the FreeDOS disk in A: and the game disk (B: or C:), a game
+ * can have more drives mounted: a save floppy in B: next to an install
+ * on C:, or a utilities disk in D:. They come from the preset's `drives`
+ * ({ "B:": "saves.img" }) or are attached in Setup for the next boot;
+ * an attached image wins over the preset's for the same letter.
+ * ═══════════════════════════════════════════ */
+
+let attachedDrives = {}; /* Setup: { "D:": { name, data: ArrayBuffer } } */
+
+/**
+ * Add the extra drives to the v86 config and record every mounted drive
+ * in mountedDrives. Returns warnings about mappings that were skipped.
+ */
+function mountExtraDrives(config, gameDrive, gameName) {
+    const preset = KNOWN_GAMES[gameSelect.value];
+    const presetDrives = (preset && preset.drives) || {};
+    const warnings = [];
+    mountedDrives = { "A:": "freedos722.img" };
+    mountedDrives[gameDrive] = gameName;
+
+    for (const letter of ["B:", "C:", "D:"]) {
+        const attached = attachedDrives[letter];
+        const name = attached ? attached.name : presetDrives[letter];
+        if (!name) continue;
+        if (letter === gameDrive) {
+            warnings.push(letter + " holds the game disk, so " + name + " was not mounted");
+            continue;
+        }
+        /* v86 only attaches the second IDE disk when there is a first */
+        if (letter === "D:" && !mountedDrives["C:"]) {
+            warnings.push("D: needs a hard disk in C:, so " + name + " was not mounted");
+            continue;
+        }
+        config[DRIVE_SLOTS[letter].option] = attached ? { buffer: attached.data.slice(0) } : { url: name };
+        mountedDrives[letter] = name;
+    }
+    return warnings;
+}
+
+/** "B: saves.img, D: utils.img" for the drives other than A: and the game's */
+function describeExtraDrives(gameDrive) {
+    return Object.keys(mountedDrives).sort()
+        .filter(letter => letter !== "A:" && letter !== gameDrive)
+        .map(letter => letter + " " + mountedDrives[letter])
+        .join(", ");
+}
+
+/**
+ * List the mounted drives in a drive selector (File Manager, transcript
+ * watch, trace snapshots), keeping its choice if that drive is still there.
+ */
+function fillDriveSelect(select, preferred) {
+    const keep = select.value;
+    select.innerHTML = "";
+    for (const letter of Object.keys(mountedDrives).sort()) {
+        const o = document.createElement("option");
+        o.value = letter;
+        o.textContent = letter + " " + mountedDrives[letter];
+        select.appendChild(o);
+    }
+    select.value = mountedDrives[keep] ? keep : preferred;
+}
+
+/* ── Setup: attach images for the next boot ── */
+
+async function attachDriveImage(file) {
+    const letter = attachDriveSelect.value;
+    attachedDrives[letter] = { name: file.name, data: await file.arrayBuffer() };
+    showAttachedDrives();
+    announce(file.name + " will be mounted as " + letter + " at the next boot.");
+}
+
+function detachDriveImages() {
+    attachedDrives = {};
+    showAttachedDrives();
+    announce("Extra drives removed.");
+}
+
+function showAttachedDrives() {
+    const letters = Object.keys(attachedDrives).sort();
+    attachedDrivesStatus.textContent = letters.map(l => l + " " + attachedDrives[l].name).join(", ");
+    detachDrivesBtn.disabled = letters.length === 0;
+}
+
+attachDriveBtn.addEventListener("click", () => attachDriveInput.click());
+attachDriveInput.addEventListener("change", function() {
+    if (this.files.length) attachDriveImage(this.files[0]);
+    this.value = "";
+});
+detachDrivesBtn.addEventListener("click", detachDriveImages);
+fmDriveSelect.addEventListener("change", function() {
+    fmDrive = this.value;
+    fmDirPath = "";
+    refreshFileManager();
+    announce(fmDrive + " drive. " + fmStatus.textContent);
+});
@@ -4,7 +4,7 @@
  * Emulator
  * ═══════════════════════════════════════════ */
 
-function bootEmulator(autoLaunch) {
+async function bootEmulator(autoLaunch) {
     if (typeof V86Starter === "undefined" && typeof V86 === "undefined") {
         setStatus("error", "v86 not loaded. Serve via HTTP (use start.command).");
         return;
@@ -19,30 +19,77 @@ function bootEmulator(autoLaunch) {
 
     setStatus("loading", "Loading BIOS and FreeDOS...");
     bootBtn.disabled = true; bootPromptBtn.disabled = true;
+    COLS = 80; ROWS = 25; /* the new machine starts in 80x25 text mode */
     initBuffer(); initScreenDOM();
+    clearScrollback();
+    resetStatusLine();
+    fmDrive = gameDriveLetter();
+    fmDirPath = "";
+    clearUndoRing();
+    slotGame = selectedImg;
 
-    /* Build disk config based on disk type (floppy -> fdb, hard disk -> hda) */
+    /* Build disk config based on disk type (floppy -> fdb, hard disk -> hda).
+       A queued patch is applied to a fresh original; otherwise a disk saved
+       by the persistent-disk option wins over the original. v86 writes into
+       the buffer it is given, so custom images get a copy and the original
+       stays intact for making patches. */
     const isHDD = diskTypeSelect.value === "hdd";
-    const diskConfig = customFloppyBlob
-        ? { buffer: customFloppyBlob }
+    let patchedDisk;
+    try {
+        patchedDisk = await applyPendingDiskPatch(selectedImg, customFloppyBlob);
+    } catch (err) {
+        setStatus("error", "Patch not applied: " + err.message);
+        bootBtn.disabled = false; bootPromptBtn.disabled = false;
+        return;
+    }
+    bootDisk = { name: selectedImg, blob: customFloppyBlob };
+    const savedDisk = patchedDisk ? null : await loadPersistedDisk();
+    const diskConfig = patchedDisk
+        ? { buffer: patchedDisk }
+        : savedDisk
+        ? { buffer: savedDisk }
+        : customFloppyBlob
+        ? { buffer: customFloppyBlob.slice(0) }
         : { url: selectedImg };
 
     const emulatorConfig = {
         wasm_path: "v86.wasm",
         bios: { url: "seabios.bin" }, vga_bios: { url: "vgabios.bin" },
         fda: { url: "freedos722.img" },
-        boot_order: 801,
         screen_container: document.getElementById("v86-screen-container"),
-        memory_size: 32 * 1024 * 1024, /* 32MB for larger games */
         autostart: true,
     };
+    /* Memory, boot order and ACPI come from the game's machine profile */
+    const machine = getMachineProfile();
+    applyMachineConfig(emulatorConfig, machine);
+    trace("BOOT", "Machine profile: " + describeMachineProfile(machine));
 
-    /* Mount game disk as floppy B: or hard disk C: */
+    /* Mount game disk as floppy B: or hard disk C:, then any extra drives */
     if (isHDD) {
         emulatorConfig.hda = diskConfig;
     } else {
         emulatorConfig.fdb = diskConfig;
     }
+    const driveWarnings = mountExtraDrives(emulatorConfig, gameDriveLetter(), selectedImg);
+    for (const w of driveWarnings) trace("DRIVES", w);
+    fillDriveSelect(fmDriveSelect, fmDrive);
+    fillDriveSelect(transcriptDriveSelect, fmDrive);
+    fillDriveSelect(traceFSDriveSelect, fmDrive);
+
+    /* Fast boot: start from the snapshot of an earlier launch if nothing it
+       depends on has changed. Queued files would be skipped, so not then. */
+    let fastBoot = null, fastBootFingerprint = null;
+    if (autoLaunch && fastBootToggle.checked && fileDB && !await hasFilesToInject()) {
+        setStatus("loading", "Checking for a fast-boot snapshot...");
+        try {
+            fastBootFingerprint = await bootFingerprint(emulatorConfig, machine);
+            fastBoot = await loadFastBootState(fastBootFingerprint);
+            if (fastBoot) emulatorConfig.initial_state = { buffer: fastBoot.state };
+        } catch (err) {
+            trace("FASTBOOT", "Fingerprint failed, booting normally: " + err.message);
+            fastBootFingerprint = null;
+        }
+    }
 
     const Ctor = (typeof V86Starter !== "undefined") ? V86Starter : V86;
     try {
@@ -52,7 +99,21 @@ function bootEmulator(autoLaunch) {
         bootBtn.disabled = false; bootPromptBtn.disabled = false;
         return;
     }
-    setStatus("loading", "Booting FreeDOS... please wait (15-30 sec).");
+    /* emulator.v86 only exists once libv86 has loaded its WebAssembly (and any
+       initial_state); "emulator-loaded" comes after that on both boot paths */
+    const throttledEmulator = emulator;
+    emulator.add_listener("emulator-loaded", function() {
+        startCpuThrottle(throttledEmulator, machine.cpuThrottle);
+    });
+    let fastBootReady = false;
+    if (fastBoot) {
+        /* The TSR is already resident in the restored memory; its screen text is kept with the snapshot */
+        if (fastBoot.textCap) { textCapActive = true; restoreTextCapScreen(fastBoot.textCap); }
+        emulator.add_listener("emulator-started", function() { fastBootReady = true; });
+        setStatus("loading", "Restoring the game from its fast-boot snapshot...");
+    } else {
+        setStatus("loading", "Booting FreeDOS... please wait (15-30 sec).");
+    }
 
     emulator.add_listener("screen-put-char", function(d) {
         const row = d[0], col = d[1], ch = d[2];
@@ -117,10 +178,11 @@ function bootEmulator(autoLaunch) {
             const l = rowToString(r).trim();
             if (/[A-Z]:\\>?\s*$/.test(l) || l.endsWith(">")) { found = true; break; }
         }
-        if (found || checks > 200) {
+        if ((fastBoot ? fastBootReady : found) || checks > 200) {
             clearInterval(checker);
             pendingChanges = []; lastResponseLines = [];
-            trace("BOOT", "DOS prompt detected after " + checks + " checks (" + (checks * 0.5) + "s)");
+            trace("BOOT", (fastBoot ? "Snapshot restored" : "DOS prompt detected") +
+                  " after " + checks + " checks (" + (checks * 0.5) + "s)");
 
             /*
              * CRITICAL VoiceOver fix: destroy v86's browser keyboard adapter.
@@ -130,11 +192,24 @@ function bootEmulator(autoLaunch) {
             }
 
             enableInput();
+            initDiskSet();
+            startDiskPersistence();
 
             /* Collapse setup panel after boot */
             var setupPanel = document.getElementById("section-setup");
             if (setupPanel) setupPanel.open = false;
 
+            /* Extra drives, and any that could not be mounted, go in the final status */
+            const extras = describeExtraDrives(gameDriveLetter());
+            const extraDrivesNote = (extras ? " Also mounted: " + extras + "." : "") +
+                driveWarnings.map(w => " " + w + ".").join("");
+
+            /* The snapshot was taken with the game at its prompt: nothing left to do */
+            if (fastBoot) {
+                setStatus("ready", "Game restored from its fast-boot snapshot. Type commands below." + extraDrivesNote);
+                return;
+            }
+
             /* Inject pre-loaded files + checked stored files onto the game disk */
             setTimeout(async () => {
                 /* Gather all files to inject */
@@ -152,7 +227,7 @@ function bootEmulator(autoLaunch) {
                         if (geo) {
                             let written = 0;
                             for (const pf of filesToInject) {
-                                if (writeFATFile(img, geo, pf.name, new Uint8Array(pf.data))) written++;
+                                if (writeFATFile(img, geo, pf.name, new Uint8Array(pf.data), pf.modified)) written++;
                             }
                             const ok = await replaceDiskImage(img);
                             if (ok) {
@@ -169,14 +244,14 @@ function bootEmulator(autoLaunch) {
 
                 if (autoLaunch) {
                     const autoCmd = autorunInput.value.trim();
-                    if (autoCmd) {
+                    const preset = KNOWN_GAMES[gameSelect.value];
+                    if (autoCmd || (preset && preset.boot)) {
                         /* Floppy games are on B:, hard disk games are on C: */
                         const gameDrive = diskTypeSelect.value === "hdd" ? "C:" : "B:";
 
                         /*
                          * If this game uses graphics mode, load TEXTCAP.COM first.
                          */
-                        const preset = KNOWN_GAMES[gameSelect.value];
                         if (preset && preset.textcap) {
                             setStatus("ready", "DOS booted. Loading text capture TSR...");
                             await typeToDOS("A:\\TEXTCAP.COM", true);
@@ -185,22 +260,28 @@ function bootEmulator(autoLaunch) {
                         }
 
                         setStatus("ready", "DOS booted. Launching game...");
-                        await typeToDOS(gameDrive, true);
-                        /* Wait for drive change to complete */
-                        await new Promise(r => setTimeout(r, 1500));
-                        await typeToDOS(autoCmd, true);
-                        setStatus("ready", "Game launched! Type commands below.");
+                        /* A preset's boot script replaces the drive change and autorun */
+                        try {
+                            await runBootScript(preset && preset.boot ? preset.boot : defaultBootScript(gameDrive, autoCmd));
+                        } catch (err) {
+                            trace("BOOT", err.message);
+                            setStatus("error", err.message + ". Finish launching the game by hand." + extraDrivesNote);
+                            announce(err.message);
+                            return;
+                        }
+                        setStatus("ready", "Game launched! Type commands below." + extraDrivesNote);
+                        if (fastBootFingerprint) captureFastBootState(fastBootFingerprint);
                     } else {
                         const driveHint = diskTypeSelect.value === "hdd" ? "C:" : "B:";
-                        setStatus("ready", "DOS booted. Game disk on " + driveHint + " drive.");
+                        setStatus("ready", "DOS booted. Game disk on " + driveHint + " drive." + extraDrivesNote);
                     }
                 } else {
                     const driveHint = diskTypeSelect.value === "hdd" ? "C:" : "B:";
-                    setStatus("ready", "DOS booted. Game disk on " + driveHint + " drive. Type " + driveHint + " then DIR to browse.");
+                    setStatus("ready", "DOS booted. Game disk on " + driveHint + " drive. Type " + driveHint + " then DIR to browse." + extraDrivesNote);
                 }
             }, 500);
         }
-        if (checks % 8 === 0 && checks <= 200) setStatus("loading", "Booting FreeDOS" + ".".repeat((checks/8)%4+1));
+        if (!fastBoot && checks % 8 === 0 && checks <= 200) setStatus("loading", "Booting FreeDOS" + ".".repeat((checks/8)%4+1));
     }, 500);
 
     refreshTimer = setInterval(refreshScreen, 200);
@@ -229,37 +310,23 @@ function bootEmulator(autoLaunch) {
 
                 if (textCapActive) {
                     announce("Graphics mode detected. Text capture TSR is active — game text will be read via serial port.");
+                } else if (ocrModeSelect.value !== "off") {
+                    announce("Graphics mode detected. Reading the screen by matching the VGA font; some text may be missed.");
                 } else {
-                    /* No TextCap — show the static fallback message */
-                    const gLines = [
-                        "GRAPHICS MODE DETECTED — Screen reader limited",
-                        "",
-                        "This game uses a graphical display.",
-                        "Text cannot be automatically read from the screen.",
-                        "",
-                        "You can still type commands in the input box.",
-                        "If the game has a text prompt, typed commands",
-                        "will be sent to it.",
-                        "",
-                        "Press F2 to hear this message again.",
-                        "Press Escape in game to skip title screens.",
-                    ];
-                    for (let r = 0; r < ROWS; r++) {
-                        const el = document.getElementById("screen-line-" + r);
-                        if (el) {
-                            const txt = r < gLines.length ? gLines[r] : "";
-                            el.textContent = txt || "\u00A0";
-                            el.setAttribute("aria-label", "Line " + (r+1) + ": " + (txt || "blank"));
-                        }
-                    }
+                    /* No TextCap and no recognition — show the static fallback message */
+                    showGraphicsModeNotice();
                     announce("Game is in graphics mode. Screen reader access is limited but commands can still be typed.");
                 }
             }
 
             if (textCapActive && textCapDirty && !transcriptCapActive) {
                 renderTextCapScreen();
+            } else if (!textCapActive && ocrModeSelect.value !== "off") {
+                /* No TSR: read the pixels back against the VGA fonts (graphics-ocr.js) */
+                readGraphicsScreen(ocrModeSelect.value);
             }
         } else if (hasRecentChars) {
+            if (wasGraphicsMode) leaveGraphicsReading();
             wasGraphicsMode = false;
         }
     }, 3000);
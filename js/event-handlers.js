@@ -18,8 +18,12 @@ document.addEventListener("keydown", function(e) {
     if (e.key === "F3") { e.preventDefault(); speakLast(); return; }
     if (e.key === "F4") { e.preventDefault(); speakNew(); return; }
     if (e.key === "F5") { e.preventDefault(); stopSpeech(); return; }
+    if (e.altKey && e.code === "KeyU") { e.preventDefault(); undoLastTurn(); return; }
+    if (e.altKey && e.code === "KeyS") { e.preventDefault(); speakStatusLine(); return; }
     if (e.key === "F6") { e.preventDefault(); setMode("insert"); return; }
     if (e.key === "F9") { e.preventDefault(); if (isReady) refreshFileManager(); return; }
+    if (e.key === "F10" && e.shiftKey) { e.preventDefault(); if (isReady) saveToSlot(QUICK_SLOT_NAME); return; }
+    if (e.key === "F11" && e.shiftKey) { e.preventDefault(); if (isReady) loadFromSlot(QUICK_SLOT_NAME); return; }
     if (e.key === "F10") { e.preventDefault(); if (isReady) saveState(); return; }
     if (e.key === "F11") { e.preventDefault(); if (isReady) stateRestoreInput.click(); return; }
     if (e.key === "F12") {
@@ -232,8 +236,17 @@ histNextBtn.addEventListener("click", navNextResponse);
 
 fmRefreshBtn.addEventListener("click", refreshFileManager);
 fmUploadBtn.addEventListener("click", () => fmUploadInput.click());
+fmMkdirBtn.addEventListener("click", createFileManagerFolder);
+fmCheckBtn.addEventListener("click", () => runDiskCheck(false));
+fmRepairBtn.addEventListener("click", () => runDiskCheck(true));
+fmFsckReportBtn.addEventListener("click", downloadFsckReport);
+for (const th of fmTable.querySelectorAll("th[data-sort]")) {
+    th.querySelector("button").addEventListener("click", () => setFileManagerSort(th.dataset.sort));
+}
 fmUploadInput.addEventListener("change", function() { if (this.files.length) uploadFiles(this.files); this.value = ""; });
 fmDlFloppyBtn.addEventListener("click", downloadFloppyImage);
+fmExportZipBtn.addEventListener("click", () => exportFolderAsZip(""));
+fmPatchBtn.addEventListener("click", downloadDiskPatch);
 
 stateSaveBtn.addEventListener("click", saveState);
 stateRestoreBtn.addEventListener("click", () => stateRestoreInput.click());
@@ -275,6 +288,8 @@ traceClearBtn.addEventListener("click", clearTrace);
 traceFSTrackToggle.addEventListener("change", toggleFSTracking);
 traceFSSnapBtn.addEventListener("click", takeSnapshotNow);
 traceFSDiffBtn.addEventListener("click", function() { traceFSDiff("manual"); });
+/* A different drive needs its own baseline */
+traceFSDriveSelect.addEventListener("change", function() { if (fsSnapshot) takeSnapshotNow(); });
 
 /* Copy history to clipboard */
 histCopyBtn.addEventListener("click", function() {
@@ -331,7 +346,7 @@ function renderPreloadFilesList() {
             saveBtn.setAttribute("aria-label", "Save " + pf.name + " to storage");
             saveBtn.addEventListener("click", (function(file) {
                 return function() {
-                    saveFileToStorage(file.name, file.data, gameSelect.value).then(function() {
+                    saveFileToStorage(file.name, file.data, gameSelect.value, "", file.modified).then(function() {
                         announce("Saved " + file.name + " to storage.");
                         if (typeof renderStoredFilesTable === "function") renderStoredFilesTable();
                     }).catch(function() {
@@ -366,8 +381,9 @@ preloadFilesInput.addEventListener("change", function() {
     for (const f of this.files) {
         const reader = new FileReader();
         const name = f.name;
+        const modified = new Date(f.lastModified);
         reader.onload = function() {
-            preloadFiles.push({ name: name, data: reader.result });
+            preloadFiles.push({ name: name, data: reader.result, modified: modified });
             pending--;
             if (pending === 0) renderPreloadFilesList();
         };
@@ -0,0 +1,150 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Fast Boot
+ *
+ * The first "Boot & Launch" of a game with fast boot on snapshots the
+ * machine (v86 save_state) once the game shows its first prompt, and
+ * keeps it in IndexedDB. Later launches hand the snapshot to v86 as its
+ * initial state, skipping the FreeDOS boot, MODE and autorun typing.
+ * Each snapshot carries a fingerprint of every mounted disk and of the
+ * settings that shape the boot; when anything differs it is deleted
+ * and a new one is taken on that launch.
+ * ═══════════════════════════════════════════ */
+
+const FAST_BOOT_FORMAT = 2;                 /* bump to drop snapshots made by older code */
+const FAST_BOOT_PROMPT_TIMEOUT_MS = 120000;  /* give up waiting for the first prompt */
+
+/** Short digest of disk contents: SHA-256 where the browser allows, else CRC-32 */
+async function digestBytes(bytes) {
+    if (window.crypto && crypto.subtle) {
+        const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+        return Array.from(hash.subarray(0, 12), b => b.toString(16).padStart(2, "0")).join("");
+    }
+    return crc32(bytes).toString(16);
+}
+
+/** Identify one v86 disk option: a digest of a buffer, or the server's validators for a URL */
+async function diskSignature(opt) {
+    if (opt.buffer) return "data:" + await digestBytes(new Uint8Array(opt.buffer));
+    const resp = await fetch(opt.url, { method: "HEAD", cache: "no-cache" });
+    if (!resp.ok) throw new Error("Could not check " + opt.url);
+    return "url:" + opt.url + ":" + (resp.headers.get("ETag") || "") + ":" +
+        (resp.headers.get("Last-Modified") || "") + ":" + (resp.headers.get("Content-Length") || "");
+}
+
+/**
+ * Everything a snapshot depends on, as one string: the disk in every
+ * drive, the machine profile, disk type, autorun command and boot script.
+ */
+async function bootFingerprint(config, machine) {
+    const disks = {};
+    for (const opt of ["fda", "fdb", "hda", "hdb"]) {
+        if (config[opt]) disks[opt] = await diskSignature(config[opt]);
+    }
+    return JSON.stringify({
+        format: FAST_BOOT_FORMAT,
+        game: gameSelect.value,
+        diskType: diskTypeSelect.value,
+        autorun: autorunInput.value.trim(),
+        bootScript: JSON.stringify((KNOWN_GAMES[gameSelect.value] || {}).boot || [],
+            (k, v) => v instanceof RegExp ? String(v) : v),
+        machine,
+        disks
+    });
+}
+
+/** True when files are queued for injection, which a snapshot would skip */
+async function hasFilesToInject() {
+    if (preloadFiles.length > 0) return true;
+    try {
+        return (await getCheckedStoredFileData()).length > 0;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * The snapshot to boot from for the selected game, or null. A snapshot
+ * with a different fingerprint is out of date and deleted.
+ */
+async function loadFastBootState(fingerprint) {
+    const game = gameSelect.value;
+    const record = await getBootStateRecord(game);
+    if (!record) return null;
+    if (record.fingerprint !== fingerprint) {
+        await deleteBootStateRecord(game);
+        trace("FASTBOOT", "Snapshot for " + game + " no longer matches its disks or settings; deleted");
+        updateFastBootStatus();
+        return null;
+    }
+    trace("FASTBOOT", "Booting " + game + " from snapshot taken " + new Date(record.timestamp).toLocaleString());
+    return record;
+}
+
+/**
+ * After a normal launch: wait until the game's prompt is on a screen
+ * that has stopped changing, then snapshot the machine for next time.
+ * Gives up if the prompt never appears or the player sends a command
+ * first (the snapshot should start where the game does).
+ */
+async function captureFastBootState(fingerprint) {
+    const game = gameSelect.value;
+    const prompt = promptCharInput.value;
+    const commandsBefore = commandHistory.length;
+    const deadline = Date.now() + FAST_BOOT_PROMPT_TIMEOUT_MS;
+    let last = "", stable = 0;
+    while (true) {
+        await new Promise(r => setTimeout(r, 1000));
+        if (!emulator || gameSelect.value !== game || commandHistory.length !== commandsBefore) return;
+        if (Date.now() > deadline) {
+            trace("FASTBOOT", "First prompt not seen; no snapshot taken");
+            return;
+        }
+        const rows = [];
+        for (let r = 0; r < ROWS; r++) rows.push(rowToString(r));
+        const screen = rows.join("\n");
+        stable = screen === last ? stable + 1 : 0;
+        last = screen;
+        /* Without a prompt string, settle for a screen that holds still for a few seconds */
+        if (prompt ? (stable >= 1 && screen.includes(prompt)) : stable >= 3) break;
+    }
+    try {
+        const state = await emulator.save_state();
+        await saveBootStateRecord(game, state, fingerprint, textCapActive ? saveTextCapScreen() : null);
+        trace("FASTBOOT", "Stored snapshot for " + game + " (" + formatSize(state.byteLength) + ")");
+        updateFastBootStatus();
+    } catch (e) {
+        trace("FASTBOOT", "Could not store snapshot: " + e.message);
+    }
+}
+
+/** Describe the selected game's snapshot (if any) under the option */
+async function updateFastBootStatus() {
+    fastBootStatus.textContent = "";
+    clearFastBootBtn.disabled = true;
+    if (!gameSelect.value || !fileDB) return;
+    try {
+        const record = await getBootStateRecord(gameSelect.value);
+        if (!record) return;
+        clearFastBootBtn.disabled = false;
+        fastBootStatus.textContent = "Snapshot from " + new Date(record.timestamp).toLocaleString() +
+            (fastBootToggle.checked ? " will be used at launch." : " (not used while the option is off).");
+    } catch (e) {}
+}
+
+/** Delete the snapshot so the next launch boots normally and takes a new one */
+async function clearFastBootState() {
+    try {
+        await deleteBootStateRecord(gameSelect.value);
+    } catch (e) {
+        announce("Could not delete the fast-boot snapshot.");
+        return;
+    }
+    updateFastBootStatus();
+    announce("Fast-boot snapshot deleted. The next launch boots normally.");
+}
+
+clearFastBootBtn.addEventListener("click", clearFastBootState);
+fastBootToggle.addEventListener("change", updateFastBootStatus);
+gameSelect.addEventListener("change", updateFastBootStatus);
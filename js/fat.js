@@ -1,106 +1,110 @@
 "use strict";
 
 /* ═══════════════════════════════════════════
- * Generic FAT File Manager (FAT12 + FAT16, floppy + HDD)
+ * Generic FAT File Manager (FAT12 + FAT16 + FAT32, floppy + HDD)
  * ═══════════════════════════════════════════ */
 
+/** The game disk's drive letter: C: for hard disk games, B: for floppies */
+function gameDriveLetter() {
+    return diskTypeSelect.value === "hdd" ? "C:" : "B:";
+}
+
 /**
- * Read disk bytes from v86 for the active game disk.
- * Returns Uint8Array or null. Works for both floppy (fdb) and HDD (hda).
+ * The v86 device behind a drive letter: a floppy drive (A:, B:) or an
+ * IDE disk (C: = primary master, D: = primary slave). null if absent.
  */
-function getDiskBytes() {
+function getDriveDevice(drive) {
+    const devices = emulator.v86.cpu.devices;
+    const ide = devices.ide && devices.ide.primary;
+    switch (drive) {
+        case "A:": return devices.fdc.drives[0];
+        case "B:": return devices.fdc.drives[1];
+        case "C:": return ide ? ide.master : null;
+        case "D:": return ide ? ide.slave : null;
+    }
+    return null;
+}
+
+/**
+ * Read disk bytes from v86 for a mounted drive (default: the game disk).
+ * Returns Uint8Array or null. Works for floppies (A:, B:) and hard disks (C:, D:).
+ */
+function getDiskBytes(drive) {
     if (!emulator) return null;
     try {
-        const isHDD = diskTypeSelect.value === "hdd";
-        if (isHDD) {
-            /* IDE primary master = hda */
-            const dev = emulator.v86.cpu.devices.ide.primary.master;
-            if (!dev || !dev.buffer) return null;
-            /* SyncBuffer.get_buffer() is synchronous despite callback API */
-            let raw = null;
-            dev.buffer.get_buffer(function(buf) { raw = buf; });
-            if (!raw) return null;
-            return new Uint8Array(raw);
-        } else {
-            /* Floppy B: drive */
-            const buf = emulator.get_disk_fdb();
-            if (!buf) return null;
-            if (buf instanceof Uint8Array) return buf;
-            if (buf instanceof ArrayBuffer) return new Uint8Array(buf);
-            if (buf.buffer) return new Uint8Array(buf.buffer);
-            return null;
-        }
+        const dev = getDriveDevice(drive || gameDriveLetter());
+        if (!dev || !dev.buffer) return null;
+        /* SyncBuffer.get_buffer() is synchronous despite callback API */
+        let raw = null;
+        dev.buffer.get_buffer(function(buf) { raw = buf; });
+        if (!raw) return null;
+        return new Uint8Array(raw);
     } catch(e) {
         console.error("getDiskBytes() failed:", e);
         return null;
     }
 }
 
-/** Get a mutable copy of the disk image for writing. */
-function getDiskBytesCopy() {
-    const orig = getDiskBytes();
+/** Get a mutable copy of a drive's disk image for writing. */
+function getDiskBytesCopy(drive) {
+    const orig = getDiskBytes(drive);
     return orig ? new Uint8Array(orig) : null;
 }
 
 /**
- * Replace the game disk image with new data (for file uploads).
- * Supports both floppy (B:) and HDD (C:) images.
+ * Replace a drive's disk image (default: the game disk) with new data,
+ * e.g. after file uploads. Supports floppies and hard disks.
  */
-async function replaceDiskImage(data) {
+async function replaceDiskImage(data, drive) {
     if (!emulator) return false;
-
-    const isHDD = diskTypeSelect.value === "hdd";
+    drive = drive || gameDriveLetter();
+    if (drive === gameDriveLetter()) diskDirty = true;
 
     try {
-        if (isHDD) {
-            /* IDE primary master = hda (C: drive) */
-            const dev = emulator.v86.cpu.devices.ide.primary.master;
-            if (!dev || !dev.buffer) return false;
-
-            const ab = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
-            const oldBuf = dev.buffer;
-
-            /* Try direct view replacement first (most efficient) */
-            if (oldBuf && oldBuf.view) {
-                oldBuf.view = new DataView(ab);
-                oldBuf.byteLength = ab.byteLength;
-                return true;
-            }
-
-            /* Fall back to set() method if available */
-            if (oldBuf && typeof oldBuf.set === "function") {
-                oldBuf.set(0, data, function() {});
-                return true;
-            }
+        const dev = getDriveDevice(drive);
+        if (!dev || !dev.buffer) return false;
+        const ab = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        const oldBuf = dev.buffer;
+
+        /* Try direct view replacement first (most efficient) */
+        if (oldBuf.view) {
+            oldBuf.view = new DataView(ab);
+            oldBuf.byteLength = ab.byteLength;
+            return true;
+        }
 
-            return false;
-        } else {
-            /* Floppy B: drive */
-            const drive = emulator.v86.cpu.devices.fdc.drives[1];
-            if (drive) {
-                const ab = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
-                const oldBuf = drive.buffer;
-                if (oldBuf && oldBuf.view) {
-                    oldBuf.view = new DataView(ab);
-                    oldBuf.byteLength = ab.byteLength;
-                    return true;
-                }
-                if (oldBuf && typeof oldBuf.set === "function") {
-                    oldBuf.set(0, data, function() {});
-                    return true;
-                }
-            }
-            return false;
+        /* Fall back to set() method if available */
+        if (typeof oldBuf.set === "function") {
+            oldBuf.set(0, data, function() {});
+            return true;
         }
+
+        return false;
     } catch(e) {
         console.error("replaceDiskImage failed:", e);
         return false;
     }
 }
 
+/** Read a little-endian 32-bit value as an unsigned number. */
+function readU32(img, off) {
+    return (img[off] | (img[off + 1] << 8) | (img[off + 2] << 16) | (img[off + 3] << 24)) >>> 0;
+}
+
+/** Write a little-endian 32-bit value. */
+function writeU32(img, off, val) {
+    img[off] = val & 0xFF;
+    img[off + 1] = (val >>> 8) & 0xFF;
+    img[off + 2] = (val >>> 16) & 0xFF;
+    img[off + 3] = (val >>> 24) & 0xFF;
+}
+
 /**
  * Parse the FAT filesystem geometry from a disk image.
  * Handles both raw floppies (BPB at byte 0) and MBR-partitioned HDDs.
+ * FAT32 volumes carry their root directory as a cluster chain
+ * (rootCluster) instead of a fixed region, and an FSInfo sector
+ * (fsInfoOffset, -1 if absent) with a cached free-cluster count.
  */
 function parseFATGeometry(img) {
     let partOffset = 0; /* byte offset to the partition/filesystem start */
@@ -113,8 +117,7 @@ function parseFATGeometry(img) {
             if (partType === 0x04 || partType === 0x06 || partType === 0x0E ||
                 partType === 0x01 || partType === 0x0B || partType === 0x0C) {
                 /* Valid FAT partition type found */
-                const lbaStart = img[entryOff + 8] | (img[entryOff + 9] << 8) |
-                                 (img[entryOff + 10] << 16) | (img[entryOff + 11] << 24);
+                const lbaStart = readU32(img, entryOff + 8);
                 if (lbaStart > 0) {
                     partOffset = lbaStart * 512;
                     break;
@@ -131,13 +134,14 @@ function parseFATGeometry(img) {
     const numFATs          = img[bpb + 16];
     const rootDirEntries   = img[bpb + 17] | (img[bpb + 18] << 8);
     let   totalSectors     = img[bpb + 19] | (img[bpb + 20] << 8);
-    const sectorsPerFAT    = img[bpb + 22] | (img[bpb + 23] << 8);
+    let   sectorsPerFAT    = img[bpb + 22] | (img[bpb + 23] << 8);
 
     /* If small total sectors is 0, use the 32-bit field */
-    if (totalSectors === 0) {
-        totalSectors = img[bpb + 32] | (img[bpb + 33] << 8) |
-                       (img[bpb + 34] << 16) | (img[bpb + 35] << 24);
-    }
+    if (totalSectors === 0) totalSectors = readU32(img, bpb + 32);
+
+    /* FAT32 stores its FAT size in the extended BPB (16-bit field is 0) */
+    const isFAT32BPB = (sectorsPerFAT === 0 && rootDirEntries === 0);
+    if (isFAT32BPB) sectorsPerFAT = readU32(img, bpb + 36);
 
     /* Sanity check the BPB values */
     if (bytesPerSector < 128 || bytesPerSector > 4096) return null;
@@ -147,6 +151,8 @@ function parseFATGeometry(img) {
     /* Calculate layout offsets (all relative to partition start) */
     const fatStart = partOffset + reservedSectors * bytesPerSector;
     const fat2Start = fatStart + sectorsPerFAT * bytesPerSector;
+    const fatStarts = [];
+    for (let i = 0; i < numFATs; i++) fatStarts.push(fatStart + i * sectorsPerFAT * bytesPerSector);
     const rootDirStart = partOffset + (reservedSectors + numFATs * sectorsPerFAT) * bytesPerSector;
     const rootDirSectors = Math.ceil((rootDirEntries * 32) / bytesPerSector);
     const dataStart = rootDirStart + rootDirSectors * bytesPerSector;
@@ -154,35 +160,204 @@ function parseFATGeometry(img) {
     /* Determine FAT type from data cluster count */
     const dataSectors = totalSectors - reservedSectors - (numFATs * sectorsPerFAT) - rootDirSectors;
     const totalClusters = Math.floor(dataSectors / sectorsPerCluster);
-    const fatType = (totalClusters < 4085) ? 12 : 16;
+    const fatType = (isFAT32BPB || totalClusters >= 65525) ? 32
+                  : (totalClusters < 4085) ? 12 : 16;
 
     const bytesPerCluster = bytesPerSector * sectorsPerCluster;
 
+    /* FAT32: root directory cluster and FSInfo sector location */
+    let rootCluster = 0, fsInfoOffset = -1;
+    if (fatType === 32) {
+        rootCluster = readU32(img, bpb + 44);
+        const fsInfoSector = img[bpb + 48] | (img[bpb + 49] << 8);
+        const fsi = partOffset + fsInfoSector * bytesPerSector;
+        if (fsInfoSector > 0 && fsInfoSector < reservedSectors &&
+            readU32(img, fsi) === 0x41615252 && readU32(img, fsi + 484) === 0x61417272) {
+            fsInfoOffset = fsi;
+        }
+    }
+
     return {
         partOffset, bytesPerSector, sectorsPerCluster, bytesPerCluster,
         reservedSectors, numFATs, rootDirEntries, totalSectors,
-        sectorsPerFAT, fatStart, fat2Start, rootDirStart, dataStart,
-        totalClusters, fatType
+        sectorsPerFAT, fatStart, fat2Start, fatStarts, rootDirStart, dataStart,
+        totalClusters, fatType, rootCluster, fsInfoOffset
     };
 }
 
 /**
- * Parse directory entries from the root directory of a FAT12/16 image.
+ * Split a DOS path ("SAVES\GAME1.SAV", "saves/game1.sav", "C:\SAVES")
+ * into its upper-cased components. The root directory is [].
+ */
+function splitFATPath(path) {
+    return String(path || "").replace(/^[A-Za-z]:/, "")
+        .split(/[\\/]+/).filter(p => p && p !== ".")
+        .map(p => p.toUpperCase());
+}
+
+/** Join a directory path and a name with a DOS backslash. */
+function joinFATPath(dirPath, name) {
+    const parts = splitFATPath(dirPath).concat(splitFATPath(name));
+    return parts.join("\\");
+}
+
+/**
+ * List the byte offsets of every 32-byte slot in a directory.
+ * dirCluster 0 is the root directory: a fixed region on FAT12/16, the
+ * rootCluster chain on FAT32. Any other value is the first cluster of
+ * a subdirectory, whose slots follow its chain.
  */
-function parseFATDir(img, geo) {
+function getFATDirSlots(img, geo, dirCluster) {
+    const slots = [];
+    if (!dirCluster && !geo.rootCluster) {
+        for (let i = 0; i < geo.rootDirEntries; i++) slots.push(geo.rootDirStart + i * 32);
+        return slots;
+    }
+    let cluster = dirCluster || geo.rootCluster;
+    let safety = geo.totalClusters + 1; /* prevent infinite loops on corrupt FAT */
+    while (cluster >= 2 && !isEOF(geo, cluster) && --safety > 0) {
+        const base = geo.dataStart + (cluster - 2) * geo.bytesPerCluster;
+        if (base + geo.bytesPerCluster > img.length) break;
+        for (let o = 0; o < geo.bytesPerCluster; o += 32) slots.push(base + o);
+        cluster = readFATEntry(img, geo, cluster);
+    }
+    return slots;
+}
+
+/** First cluster of a directory entry (FAT32 adds a high word at byte 20). */
+function getEntryCluster(img, geo, off) {
+    const lo = img[off + 26] | (img[off + 27] << 8);
+    if (geo.fatType !== 32) return lo;
+    return (lo | ((img[off + 20] | (img[off + 21] << 8)) << 16)) >>> 0;
+}
+
+/** Store the first cluster of a directory entry (high word only on FAT32). */
+function setEntryCluster(img, geo, off, cluster) {
+    img[off + 26] = cluster & 0xFF;
+    img[off + 27] = (cluster >> 8) & 0xFF;
+    if (geo.fatType === 32) {
+        img[off + 20] = (cluster >>> 16) & 0xFF;
+        img[off + 21] = (cluster >>> 24) & 0xFF;
+    }
+}
+
+/* ── DOS timestamps and attributes ── */
+
+/** Convert a DOS date/time pair to a Date (local time, 2-second resolution) */
+function dosDateTimeToDate(dosDate, dosTime) {
+    return new Date(1980 + (dosDate >> 9), ((dosDate >> 5) & 0x0F) - 1, dosDate & 0x1F,
+                    dosTime >> 11, (dosTime >> 5) & 0x3F, (dosTime & 0x1F) * 2);
+}
+
+/** Convert a Date to a DOS { date, time } pair, clamped to 1980-2107 */
+function dateToDosDateTime(d) {
+    const year = Math.min(2107, Math.max(1980, d.getFullYear()));
+    if (year !== d.getFullYear()) d = new Date(year, year === 1980 ? 0 : 11, year === 1980 ? 1 : 31);
+    return {
+        date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1)
+    };
+}
+
+/** Last-modified time of a directory entry, or null if it was never set */
+function readFATModified(img, off) {
+    const date = img[off + 24] | (img[off + 25] << 8);
+    const time = img[off + 22] | (img[off + 23] << 8);
+    if (date === 0 || ((date >> 5) & 0x0F) === 0 || (date & 0x1F) === 0) return null;
+    return dosDateTimeToDate(date, time);
+}
+
+/** "R H S" style flags for the read-only, hidden and system attribute bits */
+function fatAttrLetters(attr) {
+    const flags = [];
+    if (attr & 0x01) flags.push("R");
+    if (attr & 0x02) flags.push("H");
+    if (attr & 0x04) flags.push("S");
+    return flags.join(" ");
+}
+
+/** The same flags as words, for speech ("read-only, hidden") */
+function fatAttrWords(attr) {
+    const words = [];
+    if (attr & 0x01) words.push("read-only");
+    if (attr & 0x02) words.push("hidden");
+    if (attr & 0x04) words.push("system");
+    return words.join(", ");
+}
+
+/* ── VFAT long filenames ── */
+
+/** Byte offsets of the 13 UCS-2 characters inside an LFN slot */
+const LFN_CHAR_OFFSETS = [1, 3, 5, 7, 9, 14, 16, 18, 20, 22, 24, 28, 30];
+
+/** VFAT checksum of the 11-byte 8.3 name at a directory entry offset. */
+function lfnChecksum(img, off) {
+    let sum = 0;
+    for (let c = 0; c < 11; c++) sum = (((sum & 1) << 7) + (sum >> 1) + img[off + c]) & 0xFF;
+    return sum;
+}
+
+/** The characters stored in one LFN slot, stopping at the 0x0000 terminator. */
+function readLFNChars(img, off) {
+    let str = "";
+    for (const o of LFN_CHAR_OFFSETS) {
+        const ch = img[off + o] | (img[off + o + 1] << 8);
+        if (ch === 0x0000) break;
+        str += String.fromCharCode(ch);
+    }
+    return str;
+}
+
+/**
+ * Name for people to read: "Game Data.dat (GAMEDA~1.DAT)" when a long
+ * name exists and says something the 8.3 name doesn't, else the 8.3 name.
+ */
+function fatDisplayName(shortName, longName) {
+    if (!longName || longName.toUpperCase() === shortName.split("\\").pop()) return shortName;
+    return longName + " (" + shortName + ")";
+}
+
+/**
+ * Parse directory entries from a FAT12/16/32 directory.
+ * dirCluster 0 (or omitted) reads the root; dirPath is prefixed onto
+ * each entry's path so callers can pass it straight back to the
+ * path-aware functions below. "." and ".." entries are skipped.
+ * VFAT long names are put back together from the LFN slots in front of
+ * an entry; they are only kept when the sequence is complete and the
+ * checksum matches the 8.3 name (otherwise longName is "").
+ */
+function parseFATDir(img, geo, dirCluster, dirPath) {
     if (!geo) return [];
     const files = [];
+    let lfn = null; /* { parts, sum, next, offsets } while collecting a long name */
 
-    for (let i = 0; i < geo.rootDirEntries; i++) {
-        const off = geo.rootDirStart + i * 32;
+    for (const off of getFATDirSlots(img, geo, dirCluster || 0)) {
         const firstByte = img[off];
 
         if (firstByte === 0x00) break;    /* end of directory */
-        if (firstByte === 0xE5) continue; /* deleted entry */
+        if (firstByte === 0xE5) { lfn = null; continue; } /* deleted entry */
 
         const attr = img[off + 11];
-        if (attr === 0x0F) continue; /* LFN */
-        if (attr & 0x08) continue;   /* volume label */
+        if (attr === 0x0F) {
+            /* LFN slots come last-part first; 0x40 flags the start of a run */
+            const seq = firstByte & 0x1F;
+            if (firstByte & 0x40) lfn = { parts: [], sum: img[off + 13], next: seq, offsets: [] };
+            if (!lfn || seq === 0 || seq !== lfn.next || img[off + 13] !== lfn.sum) { lfn = null; continue; }
+            lfn.parts[seq - 1] = readLFNChars(img, off);
+            lfn.offsets.push(off);
+            lfn.next--;
+            continue;
+        }
+        const pending = lfn;
+        lfn = null;
+        if (firstByte === 0x2E) continue; /* "." and ".." */
+        if (attr & 0x08) continue;        /* volume label */
+
+        let longName = "", lfnOffsets = [];
+        if (pending && pending.next === 0 && pending.sum === lfnChecksum(img, off)) {
+            longName = pending.parts.join("");
+            lfnOffsets = pending.offsets;
+        }
 
         let name = "";
         for (let c = 0; c < 8; c++) name += String.fromCharCode(img[off + c]);
@@ -193,25 +368,67 @@ function parseFATDir(img, geo) {
         ext = ext.trimEnd();
 
         const fullName = ext ? name + "." + ext : name;
-        const firstCluster = img[off + 26] | (img[off + 27] << 8);
-        const size = img[off + 28] | (img[off + 29] << 8) |
-                     (img[off + 30] << 16) | (img[off + 31] << 24);
+        const firstCluster = getEntryCluster(img, geo, off);
+        const size = readU32(img, off + 28);
         const isDir = !!(attr & 0x10);
+        const path = joinFATPath(dirPath, fullName);
 
-        files.push({ name, ext, fullName, size, firstCluster, attr, isDir, offset: off });
+        const modified = readFATModified(img, off);
+        files.push({ name, ext, fullName, longName, path, size, firstCluster, attr, isDir,
+                     modified, offset: off, lfnOffsets });
     }
     return files;
 }
 
+/**
+ * Resolve a DOS path to its directory entry.
+ * The empty path returns a pseudo-entry for the root directory
+ * (isDir, firstCluster 0). Components may be 8.3 or long names.
+ * Returns null if any component is missing.
+ */
+function findFATEntry(img, geo, path) {
+    let entry = { name: "", ext: "", fullName: "", longName: "", path: "", size: 0,
+                  firstCluster: 0, attr: 0x10, isDir: true, modified: null, offset: -1, lfnOffsets: [] };
+    for (const part of splitFATPath(path)) {
+        if (!entry.isDir) return null;
+        const files = parseFATDir(img, geo, entry.firstCluster, entry.path);
+        entry = files.find(f => f.fullName === part) ||
+                files.find(f => f.longName.toUpperCase() === part);
+        if (!entry) return null;
+    }
+    return entry;
+}
+
+/**
+ * Walk the whole directory tree below dirCluster (0 = root), returning
+ * every file and directory entry with its full path. Directories are
+ * listed before their contents.
+ */
+function walkFATTree(img, geo, dirCluster, dirPath, depth) {
+    const result = [];
+    if ((depth || 0) > 32) return result; /* guard against looped directories */
+    for (const f of parseFATDir(img, geo, dirCluster || 0, dirPath || "")) {
+        result.push(f);
+        if (f.isDir && f.firstCluster >= 2) {
+            const children = walkFATTree(img, geo, f.firstCluster, f.path, (depth || 0) + 1);
+            for (const child of children) result.push(child);
+        }
+    }
+    return result;
+}
+
 /**
  * Read a FAT entry for a given cluster number.
- * Supports both FAT12 (12-bit packed entries) and FAT16 (16-bit entries).
+ * Supports FAT12 (12-bit packed entries), FAT16 (16-bit entries) and
+ * FAT32 (28 significant bits of a 32-bit entry).
  */
 function readFATEntry(img, geo, cluster) {
     if (geo.fatType === 12) {
         const byteOff = Math.floor(cluster * 3 / 2);
         const word = img[geo.fatStart + byteOff] | (img[geo.fatStart + byteOff + 1] << 8);
         return (cluster & 1) ? (word >> 4) : (word & 0xFFF);
+    } else if (geo.fatType === 32) {
+        return readU32(img, geo.fatStart + cluster * 4) & 0x0FFFFFFF;
     } else {
         /* FAT16: 2 bytes per entry */
         const byteOff = cluster * 2;
@@ -221,9 +438,16 @@ function readFATEntry(img, geo, cluster) {
 
 /** Check if a FAT entry marks end-of-chain. */
 function isEOF(geo, val) {
+    if (geo.fatType === 32) return val >= 0x0FFFFFF8;
     return (geo.fatType === 12) ? (val >= 0xFF8) : (val >= 0xFFF8);
 }
 
+/** The end-of-chain value written when terminating a chain. */
+function fatEOFMark(geo) {
+    if (geo.fatType === 32) return 0x0FFFFFFF;
+    return (geo.fatType === 12) ? 0xFFF : 0xFFFF;
+}
+
 /**
  * Read file data by following its cluster chain.
  * Returns Uint8Array of file contents.
@@ -244,10 +468,27 @@ function readFATFile(img, geo, file) {
 }
 
 /**
- * Write a FAT entry (both FAT copies).
+ * Keep the FAT32 FSInfo free-cluster count in step with an allocation
+ * (delta -1) or release (delta +1). 0xFFFFFFFF means "unknown" and is
+ * left alone.
+ */
+function adjustFSInfoFree(img, geo, delta) {
+    if (geo.fsInfoOffset < 0) return;
+    const free = readU32(img, geo.fsInfoOffset + 488);
+    if (free === 0xFFFFFFFF) return;
+    writeU32(img, geo.fsInfoOffset + 488, Math.max(0, Math.min(geo.totalClusters, free + delta)));
+}
+
+/**
+ * Write a FAT entry (every FAT copy).
  */
 function writeFATEntry(img, geo, cluster, val) {
-    for (const base of [geo.fatStart, geo.fat2Start]) {
+    if (geo.fatType === 32) {
+        const old = readFATEntry(img, geo, cluster);
+        if (old === 0 && val !== 0) adjustFSInfoFree(img, geo, -1);
+        if (old !== 0 && val === 0) adjustFSInfoFree(img, geo, +1);
+    }
+    for (const base of geo.fatStarts) {
         if (geo.fatType === 12) {
             const bo = Math.floor(cluster * 3 / 2);
             let w = img[base + bo] | (img[base + bo + 1] << 8);
@@ -258,6 +499,12 @@ function writeFATEntry(img, geo, cluster, val) {
             }
             img[base + bo] = w & 0xFF;
             img[base + bo + 1] = (w >> 8) & 0xFF;
+        } else if (geo.fatType === 32) {
+            /* The top 4 bits are reserved and must be preserved */
+            const bo = cluster * 4;
+            const high = img[base + bo + 3] & 0xF0;
+            writeU32(img, base + bo, val & 0x0FFFFFFF);
+            img[base + bo + 3] |= high;
         } else {
             const bo = cluster * 2;
             img[base + bo] = val & 0xFF;
@@ -266,26 +513,267 @@ function writeFATEntry(img, geo, cluster, val) {
     }
 }
 
+/**
+ * Find up to `count` free clusters (FAT entry 0). Returns the list of
+ * cluster numbers, which may be shorter than requested if the disk is full.
+ */
+function findFreeClusters(img, geo, count) {
+    const free = [];
+    for (let c = 2; c <= geo.totalClusters + 1 && free.length < count; c++) {
+        if (readFATEntry(img, geo, c) === 0x000) free.push(c);
+    }
+    return free;
+}
+
+/** Release every cluster in a chain back to the free pool. */
+function freeFATChain(img, geo, firstCluster) {
+    let c = firstCluster;
+    let safety = geo.totalClusters + 1;
+    while (c >= 2 && !isEOF(geo, c) && --safety > 0) {
+        const next = readFATEntry(img, geo, c);
+        writeFATEntry(img, geo, c, 0x000);
+        c = next;
+    }
+}
+
+/** Number of clusters in a chain (0 for first cluster 0). */
+function countFATChain(img, geo, firstCluster) {
+    let n = 0, c = firstCluster;
+    let safety = geo.totalClusters + 1;
+    while (c >= 2 && !isEOF(geo, c) && --safety > 0) {
+        n++;
+        c = readFATEntry(img, geo, c);
+    }
+    return n;
+}
+
+/** The last cluster of a chain. */
+function lastFATChainCluster(img, geo, firstCluster) {
+    let last = firstCluster;
+    let safety = geo.totalClusters + 1;
+    while (--safety > 0) {
+        const next = readFATEntry(img, geo, last);
+        if (next < 2 || isEOF(geo, next)) break;
+        last = next;
+    }
+    return last;
+}
+
+/** Cut a chain after `lastCluster`, freeing whatever followed it. */
+function truncateFATChain(img, geo, lastCluster) {
+    const next = readFATEntry(img, geo, lastCluster);
+    if (next < 2 || isEOF(geo, next)) return;
+    freeFATChain(img, geo, next);
+    writeFATEntry(img, geo, lastCluster, fatEOFMark(geo));
+}
+
+/**
+ * Grow a directory by one zeroed cluster linked onto the end of its
+ * chain. Returns the byte offset of the first new slot, or -1 if the
+ * disk is full. The fixed-size FAT12/16 root directory cannot grow;
+ * the FAT32 root is an ordinary chain and can.
+ */
+function extendFATDir(img, geo, dirCluster) {
+    const chainStart = dirCluster || geo.rootCluster;
+    if (!chainStart) return -1;
+    const free = findFreeClusters(img, geo, 1);
+    if (free.length === 0) return -1;
+
+    const last = lastFATChainCluster(img, geo, chainStart);
+    const eofMark = fatEOFMark(geo);
+    const off = geo.dataStart + (free[0] - 2) * geo.bytesPerCluster;
+    img.fill(0, off, off + geo.bytesPerCluster);
+    writeFATEntry(img, geo, free[0], eofMark);
+    writeFATEntry(img, geo, last, free[0]);
+    return off;
+}
+
+/**
+ * Convert a name to the padded 11-byte 8.3 form ("GAME1   SAV"), or null
+ * if it is not a valid DOS name (too long, two dots, illegal characters).
+ */
+function toFATName83(name) {
+    const upper = String(name || "").toUpperCase();
+    const dot = upper.lastIndexOf(".");
+    const base = dot >= 0 ? upper.slice(0, dot) : upper;
+    const ext = dot >= 0 ? upper.slice(dot + 1) : "";
+    if (!base || base.length > 8 || ext.length > 3) return null;
+    if (!/^[A-Z0-9!#$%&'()\-@^_`{}~\u0080-\u00FF]+$/.test(base + ext)) return null;
+    return base.padEnd(8, " ") + ext.padEnd(3, " ");
+}
+
+/** Find the slot holding an 11-byte 8.3 name in a directory, or -1. */
+function findFATDirSlot(img, geo, dirCluster, name11) {
+    for (const o of getFATDirSlots(img, geo, dirCluster)) {
+        if (img[o] === 0x00) break;
+        if (img[o] === 0xE5) continue;
+        let existName = "";
+        for (let c = 0; c < 11; c++) existName += String.fromCharCode(img[o + c]);
+        if (existName === name11) return o;
+    }
+    return -1;
+}
+
+/**
+ * Find count consecutive unused slots in a directory (end marker or
+ * deleted entries), growing the directory until they fit. Returns the
+ * slot offsets, or null if there is no room.
+ */
+function findFreeDirSlots(img, geo, dirCluster, count) {
+    for (;;) {
+        const slots = getFATDirSlots(img, geo, dirCluster);
+        let run = 0;
+        for (let i = 0; i < slots.length; i++) {
+            if (img[slots[i]] !== 0x00 && img[slots[i]] !== 0xE5) { run = 0; continue; }
+            if (++run === count) return slots.slice(i - count + 1, i + 1);
+        }
+        if (extendFATDir(img, geo, dirCluster) === -1) return null;
+    }
+}
+
+/**
+ * Pick a unique "BASENA~N.EXT" alias for a long name in a directory,
+ * the way Windows does: illegal characters become "_", spaces and
+ * extra dots are dropped, and N counts up until the name is free.
+ */
+function makeFATShortAlias(img, geo, dirCluster, longName) {
+    const clean = s => s.toUpperCase().replace(/[ .]/g, "")
+        .replace(/[^A-Z0-9!#$%&'()\-@^_`{}~]/g, "_");
+    const dot = longName.lastIndexOf(".");
+    const base = clean(dot > 0 ? longName.slice(0, dot) : longName) || "FILE";
+    const ext = dot > 0 ? clean(longName.slice(dot + 1)).substring(0, 3) : "";
+    for (let n = 1; n < 1000000; n++) {
+        const tail = "~" + n;
+        const name11 = (base.substring(0, 8 - tail.length) + tail).padEnd(8, " ") + ext.padEnd(3, " ");
+        if (findFATDirSlot(img, geo, dirCluster, name11) === -1) return name11;
+    }
+    return null;
+}
+
+/**
+ * Decide the on-disk name for the last component of path in a directory:
+ * a valid 8.3 name is used as-is; a long name reuses the alias of the
+ * entry that already has it, or gets a new "~N" alias plus longName
+ * (in the caller's case) for writeLFNSlots. Returns { name11, longName }.
+ */
+function pickFATEntryName(img, geo, dirCluster, path) {
+    const rawName = String(path || "").split(/[\\/]/).pop();
+    const name11 = toFATName83(rawName);
+    if (name11) return { name11, longName: "" };
+    const upper = rawName.toUpperCase();
+    const existing = parseFATDir(img, geo, dirCluster).find(f => f.longName.toUpperCase() === upper);
+    if (existing) return { name11: existing.name.padEnd(8, " ") + existing.ext.padEnd(3, " "), longName: "" };
+    if (!rawName || /[\\/:*?"<>|]/.test(rawName) || /^[ .]+$/.test(rawName)) return null;
+    const longName = rawName.substring(0, 255);
+    const alias = makeFATShortAlias(img, geo, dirCluster, longName);
+    return alias ? { name11: alias, longName } : null;
+}
+
+/**
+ * Write the LFN slots for longName into slots[0..n-1]; the 8.3 entry
+ * it belongs to goes in the slot right after them.
+ */
+function writeLFNSlots(img, slots, longName, name11) {
+    const sumBytes = new Uint8Array(11);
+    for (let c = 0; c < 11; c++) sumBytes[c] = name11.charCodeAt(c);
+    const sum = lfnChecksum(sumBytes, 0);
+    const count = slots.length;
+    for (let i = 0; i < count; i++) {
+        const seq = count - i; /* last part is stored first */
+        const off = slots[i];
+        img.fill(0, off, off + 32);
+        img[off] = seq | (i === 0 ? 0x40 : 0);
+        img[off + 11] = 0x0F;
+        img[off + 13] = sum;
+        LFN_CHAR_OFFSETS.forEach((o, k) => {
+            const idx = (seq - 1) * 13 + k;
+            /* 0x0000 terminates a name that doesn't fill the slot; 0xFFFF pads after it */
+            const ch = idx < longName.length ? longName.charCodeAt(idx) : (idx === longName.length ? 0x0000 : 0xFFFF);
+            img[off + o] = ch & 0xFF;
+            img[off + o + 1] = ch >> 8;
+        });
+    }
+}
+
+/**
+ * Fill in a 32-byte directory entry (name, attributes, cluster, size).
+ * Creation and access dates are stamped with the current time; the
+ * last-modified time is `modified` (a Date), defaulting to now.
+ */
+function fillDirEntry(img, geo, off, name11, attr, cluster, size, modified) {
+    for (let c = 0; c < 11; c++) img[off + c] = name11.charCodeAt(c);
+    img[off + 11] = attr;
+    for (let c = 12; c < 26; c++) img[off + c] = 0;
+    const now = new Date();
+    const created = dateToDosDateTime(now);
+    const written = dateToDosDateTime(modified instanceof Date && !isNaN(modified) ? modified : now);
+    img[off + 13] = (now.getSeconds() & 1) * 100 + Math.floor(now.getMilliseconds() / 10); /* 10ms units */
+    img[off + 14] = created.time & 0xFF; img[off + 15] = created.time >> 8;
+    img[off + 16] = created.date & 0xFF; img[off + 17] = created.date >> 8;
+    img[off + 18] = created.date & 0xFF; img[off + 19] = created.date >> 8; /* last access */
+    img[off + 22] = written.time & 0xFF; img[off + 23] = written.time >> 8;
+    img[off + 24] = written.date & 0xFF; img[off + 25] = written.date >> 8;
+    setEntryCluster(img, geo, off, cluster);
+    writeU32(img, off + 28, size);
+}
+
 /**
  * Write a file to the FAT image.
- * Finds free clusters, writes data, creates/overwrites a directory entry.
- * Returns true on success.
+ * fileName may include a directory path ("SAVES\GAME1.SAV"); the
+ * directory must already exist. Finds free clusters, writes data, and
+ * creates/overwrites a directory entry, growing a subdirectory if it is full.
+ * A name that doesn't fit 8.3 gets VFAT long-name slots and a "~N" alias
+ * (or overwrites the file that already has that long name).
+ * modified (a Date, e.g. from File.lastModified) becomes the file's DOS
+ * timestamp; without it the file is stamped with the current time.
+ * Returns the 8.3 name written ("GAMEDA~1.DAT") on success, false on failure.
  */
-function writeFATFile(img, geo, fileName, fileData) {
-    const eofMark = (geo.fatType === 12) ? 0xFFF : 0xFFFF;
-
-    /* Parse 8.3 name */
-    const parts = fileName.toUpperCase().split(".");
-    const fn = (parts[0] || "").substring(0, 8).padEnd(8, " ");
-    const fe = (parts[1] || "").substring(0, 3).padEnd(3, " ");
-
-    /* Find free clusters */
-    const clustersNeeded = Math.ceil(fileData.length / geo.bytesPerCluster) || 1;
-    const freeClusters = [];
-    for (let c = 2; c <= geo.totalClusters + 1 && freeClusters.length < clustersNeeded; c++) {
-        if (readFATEntry(img, geo, c) === 0x000) freeClusters.push(c);
+function writeFATFile(img, geo, fileName, fileData, modified) {
+    const eofMark = fatEOFMark(geo);
+
+    /* Resolve the target directory */
+    const pathParts = splitFATPath(fileName);
+    const baseName = pathParts.pop() || "";
+    const dir = findFATEntry(img, geo, pathParts.join("\\"));
+    if (!dir || !dir.isDir) return false;
+    const dirCluster = dir.firstCluster;
+
+    const picked = pickFATEntryName(img, geo, dirCluster, fileName);
+    if (!picked) return false;
+    const name11 = picked.name11, longName = picked.longName;
+
+    /* Overwrite an existing file, or take free directory slots. Finding
+       slots may grow the directory; remember where its chain ended so a
+       failed write can give the new cluster back. */
+    const dirChainStart = dirCluster || geo.rootCluster;
+    const dirLastCluster = dirChainStart ? lastFATChainCluster(img, geo, dirChainStart) : 0;
+    let oldCluster = 0;
+    let dirOff = findFATDirSlot(img, geo, dirCluster, name11);
+    let lfnSlots = [];
+    if (dirOff !== -1) {
+        if (img[dirOff + 11] & 0x18) return false; /* never overwrite a directory or label */
+        oldCluster = getEntryCluster(img, geo, dirOff);
+    } else {
+        const slots = findFreeDirSlots(img, geo, dirCluster, 1 + Math.ceil(longName.length / 13));
+        if (!slots) {
+            if (dirLastCluster) truncateFATChain(img, geo, dirLastCluster);
+            return false;
+        }
+        dirOff = slots.pop();
+        lfnSlots = slots;
     }
-    if (freeClusters.length < clustersNeeded) return false;
+
+    /* The overwritten file's clusters count as free: check the new data
+       fits, then release them before allocating */
+    /* Empty files own no clusters (first cluster 0), as DOS writes them */
+    const clustersNeeded = Math.ceil(fileData.length / geo.bytesPerCluster);
+    const reusable = oldCluster >= 2 ? countFATChain(img, geo, oldCluster) : 0;
+    if (findFreeClusters(img, geo, clustersNeeded).length + reusable < clustersNeeded) {
+        if (dirLastCluster) truncateFATChain(img, geo, dirLastCluster);
+        return false;
+    }
+    if (oldCluster >= 2) freeFATChain(img, geo, oldCluster);
+    const freeClusters = findFreeClusters(img, geo, clustersNeeded);
 
     /* Write data to clusters and build chain */
     for (let i = 0; i < freeClusters.length; i++) {
@@ -297,49 +785,86 @@ function writeFATFile(img, geo, fileName, fileData) {
         writeFATEntry(img, geo, c, (i < freeClusters.length - 1) ? freeClusters[i + 1] : eofMark);
     }
 
-    /* Find or create directory entry */
-    let dirOff = -1;
+    /* Write directory entry */
+    if (lfnSlots.length) writeLFNSlots(img, lfnSlots, longName, name11);
+    fillDirEntry(img, geo, dirOff, name11, 0x20, freeClusters[0] || 0, fileData.length, modified);
 
-    /* Check if file already exists (overwrite) */
-    for (let i = 0; i < geo.rootDirEntries; i++) {
-        const o = geo.rootDirStart + i * 32;
-        if (img[o] === 0x00 || img[o] === 0xE5) continue;
-        let existName = "";
-        for (let c = 0; c < 11; c++) existName += String.fromCharCode(img[o + c]);
-        if (existName === fn + fe) {
-            /* Free old clusters first */
-            let oldC = img[o + 26] | (img[o + 27] << 8);
-            while (oldC >= 2 && !isEOF(geo, oldC)) {
-                const next = readFATEntry(img, geo, oldC);
-                writeFATEntry(img, geo, oldC, 0x000);
-                oldC = next;
-            }
-            dirOff = o;
-            break;
-        }
-    }
+    const shortBase = name11.substring(0, 8).trimEnd(), shortExt = name11.substring(8).trimEnd();
+    return shortExt ? shortBase + "." + shortExt : shortBase;
+}
 
-    /* Find a free entry if not overwriting */
-    if (dirOff === -1) {
-        for (let i = 0; i < geo.rootDirEntries; i++) {
-            const o = geo.rootDirStart + i * 32;
-            if (img[o] === 0x00 || img[o] === 0xE5) { dirOff = o; break; }
-        }
-    }
-    if (dirOff === -1) return false;
+/**
+ * Delete a file or an empty directory: frees its cluster chain in every
+ * FAT copy and marks the directory entry and its long-name slots deleted (0xE5).
+ * Returns true on success; non-empty directories are refused.
+ */
+function deleteFATEntry(img, geo, path) {
+    const entry = findFATEntry(img, geo, path);
+    if (!entry || entry.offset < 0) return false;
+    if (entry.isDir && parseFATDir(img, geo, entry.firstCluster).length > 0) return false;
+    if (entry.firstCluster >= 2) freeFATChain(img, geo, entry.firstCluster);
+    for (const o of entry.lfnOffsets) img[o] = 0xE5;
+    img[entry.offset] = 0xE5;
+    return true;
+}
 
-    /* Write directory entry */
-    for (let c = 0; c < 8; c++) img[dirOff + c] = fn.charCodeAt(c);
-    for (let c = 0; c < 3; c++) img[dirOff + 8 + c] = fe.charCodeAt(c);
-    img[dirOff + 11] = 0x20;
-    for (let c = 12; c < 26; c++) img[dirOff + c] = 0;
-    img[dirOff + 26] = freeClusters[0] & 0xFF;
-    img[dirOff + 27] = (freeClusters[0] >> 8) & 0xFF;
-    const sz = fileData.length;
-    img[dirOff + 28] = sz & 0xFF;
-    img[dirOff + 29] = (sz >> 8) & 0xFF;
-    img[dirOff + 30] = (sz >> 16) & 0xFF;
-    img[dirOff + 31] = (sz >> 24) & 0xFF;
+/**
+ * Rename a file or directory in place (same folder). newName must be a
+ * valid 8.3 name that is not already taken. Any long name is dropped,
+ * since it would no longer match. Returns true on success.
+ */
+function renameFATEntry(img, geo, path, newName) {
+    const entry = findFATEntry(img, geo, path);
+    const name11 = toFATName83(newName);
+    if (!entry || entry.offset < 0 || !name11) return false;
+    const parentParts = splitFATPath(path);
+    parentParts.pop();
+    const parent = findFATEntry(img, geo, parentParts.join("\\"));
+    const clash = findFATDirSlot(img, geo, parent.firstCluster, name11);
+    if (clash !== -1 && clash !== entry.offset) return false;
+    for (const o of entry.lfnOffsets) img[o] = 0xE5;
+    for (let c = 0; c < 11; c++) img[entry.offset + c] = name11.charCodeAt(c);
+    return true;
+}
 
+/**
+ * Create a directory. The parent must exist and the name must be free;
+ * a long name gets a "~N" alias like writeFATFile. The new cluster gets
+ * the "." and ".." entries DOS expects (".." is cluster 0 when the
+ * parent is the root). Returns true on success.
+ */
+function makeFATDir(img, geo, path) {
+    const parts = splitFATPath(path);
+    parts.pop();
+    const parent = findFATEntry(img, geo, parts.join("\\"));
+    if (!parent || !parent.isDir) return false;
+    const picked = pickFATEntryName(img, geo, parent.firstCluster, path);
+    if (!picked) return false;
+    const name11 = picked.name11, longName = picked.longName;
+    if (findFATDirSlot(img, geo, parent.firstCluster, name11) !== -1) return false;
+
+    /* Claim the cluster first so growing the parent can't hand it out again,
+       and remember where the parent's chain ended so a failure can shrink it back */
+    const free = findFreeClusters(img, geo, 1);
+    if (free.length === 0) return false;
+    const cluster = free[0];
+    writeFATEntry(img, geo, cluster, fatEOFMark(geo));
+    const parentChainStart = parent.firstCluster || geo.rootCluster;
+    const parentLastCluster = parentChainStart ? lastFATChainCluster(img, geo, parentChainStart) : 0;
+
+    const slots = findFreeDirSlots(img, geo, parent.firstCluster, 1 + Math.ceil(longName.length / 13));
+    if (!slots) {
+        if (parentLastCluster) truncateFATChain(img, geo, parentLastCluster);
+        writeFATEntry(img, geo, cluster, 0x000);
+        return false;
+    }
+    const slot = slots.pop();
+    if (longName) writeLFNSlots(img, slots, longName, name11);
+
+    const off = geo.dataStart + (cluster - 2) * geo.bytesPerCluster;
+    img.fill(0, off, off + geo.bytesPerCluster);
+    fillDirEntry(img, geo, off, ".          ", 0x10, cluster, 0);
+    fillDirEntry(img, geo, off + 32, "..         ", 0x10, parent.firstCluster, 0);
+    fillDirEntry(img, geo, slot, name11, 0x10, cluster, 0);
     return true;
 }
@@ -4,19 +4,95 @@
  * File Manager UI
  * ═══════════════════════════════════════════ */
 
+/** Drive letter plus the current folder, e.g. "C:\SAVES" */
+function fmBreadcrumbText() {
+    return fmDrive + "\\" + fmDirPath;
+}
+
+/** Enter a folder on the File Manager's drive ("" = root) and announce where we are */
+function openFileManagerDir(path) {
+    fmDirPath = splitFATPath(path).join("\\");
+    refreshFileManager();
+    const first = fmTbody.querySelector("button");
+    if (first) first.focus();
+    /* Spoken breadcrumb: "C drive, SAVES, OLD" reads better than backslashes */
+    const crumbs = [fmBreadcrumbText().charAt(0) + " drive"].concat(splitFATPath(fmDirPath));
+    speak(crumbs.join(", ") + ". " + fmStatus.textContent);
+}
+
+/** Go up one folder level */
+function fileManagerUp() {
+    const parts = splitFATPath(fmDirPath);
+    parts.pop();
+    openFileManagerDir(parts.join("\\"));
+}
+
+/** Sort-key labels for announcements, and each key's first direction */
+const FM_SORT_KEYS = {
+    name: { label: "name", firstDesc: false, asc: "A to Z", desc: "Z to A" },
+    size: { label: "size", firstDesc: true, asc: "smallest first", desc: "largest first" },
+    modified: { label: "modified time", firstDesc: true, asc: "oldest first", desc: "newest first" },
+    attr: { label: "attributes", firstDesc: true, asc: "plain files first", desc: "flagged files first" }
+};
+
+/** Short local date and time, e.g. "10/18/2026 02:03 PM" ("" if unknown) */
+function formatFATDate(d) {
+    if (!d) return "";
+    return d.toLocaleDateString() + " " + d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+/** Everything about an entry in one spoken sentence */
+function describeFATEntry(f) {
+    const parts = [fatDisplayName(f.fullName, f.longName) + (f.isDir ? ", folder" : ", " + formatSize(f.size))];
+    parts.push(f.modified ? "modified " + formatFATDate(f.modified) : "no date");
+    const flags = fatAttrWords(f.attr);
+    if (flags) parts.push(flags);
+    return parts.join(", ");
+}
+
+/** Order entries by the current sort column; folders stay above files */
+function sortFATEntries(files) {
+    const dir = fmSortDesc ? -1 : 1;
+    const cmp = {
+        name: (a, b) => fatDisplayName(a.fullName, a.longName).localeCompare(fatDisplayName(b.fullName, b.longName)),
+        size: (a, b) => a.size - b.size,
+        modified: (a, b) => (a.modified ? a.modified.getTime() : 0) - (b.modified ? b.modified.getTime() : 0),
+        attr: (a, b) => (a.attr & 0x07) - (b.attr & 0x07)
+    }[fmSortKey];
+    return files.slice().sort((a, b) => (b.isDir - a.isDir) || (dir * cmp(a, b)) || a.fullName.localeCompare(b.fullName));
+}
+
+/** Sort by a column (again on the same column flips the order) and say the result */
+function setFileManagerSort(key) {
+    if (!FM_SORT_KEYS[key]) return;
+    if (key === fmSortKey) fmSortDesc = !fmSortDesc;
+    else { fmSortKey = key; fmSortDesc = FM_SORT_KEYS[key].firstDesc; }
+    refreshFileManager();
+
+    const info = FM_SORT_KEYS[key];
+    let msg = "Sorted by " + info.label + ", " + (fmSortDesc ? info.desc : info.asc) + ".";
+    const img = getDiskBytes(fmDrive);
+    const geo = img && parseFATGeometry(img);
+    const dir = geo && findFATEntry(img, geo, fmDirPath);
+    if (dir) {
+        const first = sortFATEntries(parseFATDir(img, geo, dir.firstCluster, dir.path)).find(f => !f.isDir);
+        if (first) msg += " First: " + describeFATEntry(first) + ".";
+    }
+    announce(msg);
+}
+
 /** Refresh the file manager table */
 function refreshFileManager() {
     /* Update drive label in section header */
-    const isHDD = diskTypeSelect.value === "hdd";
     const driveLabel = $("fm-drive-label");
-    if (driveLabel) driveLabel.textContent = isHDD ? "C:" : "B:";
-    const driveName = isHDD ? "C:" : "B:";
+    if (driveLabel) driveLabel.textContent = fmDrive;
+    const driveName = fmDrive;
 
     fmStatus.textContent = "Reading " + driveName + " drive...";
     fmTable.style.display = "none";
     fmTbody.innerHTML = "";
 
-    const img = getDiskBytes();
+    const img = getDiskBytes(fmDrive);
     if (!img) {
         fmStatus.textContent = "Could not read " + driveName + " disk. Try saving the game first, then refresh.";
         return;
@@ -28,65 +104,226 @@ function refreshFileManager() {
         return;
     }
 
-    const files = parseFATDir(img, geo);
-    if (files.length === 0) {
-        fmStatus.textContent = "No files found on " + driveName + " drive.";
-        return;
+    /* Fall back to the root if the current folder has disappeared */
+    let dir = findFATEntry(img, geo, fmDirPath);
+    if (!dir || !dir.isDir) {
+        fmDirPath = "";
+        dir = findFATEntry(img, geo, "");
+    }
+    fmBreadcrumb.textContent = fmBreadcrumbText();
+
+    /* Column headers show the current sort */
+    for (const th of fmTable.querySelectorAll("th[data-sort]")) {
+        th.setAttribute("aria-sort", th.dataset.sort !== fmSortKey ? "none"
+            : (fmSortDesc ? "descending" : "ascending"));
     }
 
-    fmStatus.textContent = files.length + " file(s) on " + driveName + " drive. (FAT" + geo.fatType + ")";
+    const files = sortFATEntries(parseFATDir(img, geo, dir.firstCluster, dir.path));
+    const where = fmDirPath ? "in " + fmBreadcrumbText() : "on " + driveName + " drive";
+    fmStatus.textContent = files.length === 0
+        ? "No files found " + where + "."
+        : files.length + " file(s) " + where + ". (FAT" + geo.fatType + ")";
+
+    if (files.length === 0 && !fmDirPath) return;
     fmTable.style.display = "";
 
+    /* ".." row to leave a subfolder */
+    if (fmDirPath) {
+        const tr = document.createElement("tr");
+        const tdName = document.createElement("td");
+        tdName.textContent = "..";
+        tr.appendChild(tdName);
+        for (const text of ["-", "", ""]) {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        const tdAct = document.createElement("td");
+        const upBtn = document.createElement("button");
+        upBtn.className = "btn-secondary btn-sm";
+        upBtn.textContent = "Up";
+        upBtn.setAttribute("aria-label", "Up to parent folder");
+        upBtn.addEventListener("click", fileManagerUp);
+        tdAct.appendChild(upBtn);
+        tr.appendChild(tdAct);
+        fmTbody.appendChild(tr);
+    }
+
     for (const f of files) {
         const tr = document.createElement("tr");
 
         const tdName = document.createElement("td");
-        tdName.textContent = f.fullName + (f.isDir ? " [DIR]" : "");
+        const shownName = fatDisplayName(f.fullName, f.longName);
+        tdName.textContent = shownName + (f.isDir ? " [DIR]" : "");
         tr.appendChild(tdName);
 
         const tdSize = document.createElement("td");
         tdSize.textContent = f.isDir ? "-" : formatSize(f.size);
         tr.appendChild(tdSize);
 
+        const tdDate = document.createElement("td");
+        tdDate.textContent = formatFATDate(f.modified);
+        tr.appendChild(tdDate);
+
+        const tdAttr = document.createElement("td");
+        tdAttr.textContent = fatAttrLetters(f.attr);
+        if (tdAttr.textContent) tdAttr.title = fatAttrWords(f.attr);
+        tr.appendChild(tdAttr);
+
         const tdAct = document.createElement("td");
+        const infoBtn = document.createElement("button");
+        infoBtn.className = "btn-secondary btn-sm";
+        infoBtn.textContent = "Info";
+        infoBtn.setAttribute("aria-label", "Speak details of " + shownName);
+        infoBtn.addEventListener("click", () => announce(describeFATEntry(f)));
+        tdAct.appendChild(infoBtn);
+
+        if (f.isDir) {
+            const openBtn = document.createElement("button");
+            openBtn.className = "btn-secondary btn-sm";
+            openBtn.textContent = "Open";
+            openBtn.setAttribute("aria-label", "Open folder " + shownName);
+            openBtn.addEventListener("click", () => openFileManagerDir(f.path));
+            tdAct.appendChild(openBtn);
+
+            const zipBtn = document.createElement("button");
+            zipBtn.className = "btn-secondary btn-sm";
+            zipBtn.textContent = "ZIP";
+            zipBtn.setAttribute("aria-label", "Download folder " + shownName + " as ZIP");
+            zipBtn.addEventListener("click", () => exportFolderAsZip(f.path));
+            tdAct.appendChild(zipBtn);
+        }
         if (!f.isDir && f.size > 0) {
             const dlBtn = document.createElement("button");
             dlBtn.className = "btn-secondary btn-sm";
             dlBtn.textContent = "Download";
+            dlBtn.setAttribute("aria-label", "Download " + shownName);
             dlBtn.addEventListener("click", () => downloadFile(f));
             tdAct.appendChild(dlBtn);
 
-            /* Save to persistent IndexedDB storage */
+            /* Save to persistent IndexedDB storage (keeps the folder path) */
             if (typeof fileDB !== "undefined" && fileDB) {
                 const saveBtn = document.createElement("button");
                 saveBtn.className = "btn-secondary btn-sm";
                 saveBtn.textContent = "Save";
                 saveBtn.title = "Save to persistent storage";
                 saveBtn.addEventListener("click", function() {
-                    const imgNow = getDiskBytes();
+                    const imgNow = getDiskBytes(fmDrive);
                     if (!imgNow) { fmStatus.textContent = "Read error."; return; }
                     const geoNow = parseFATGeometry(imgNow);
                     if (!geoNow) { fmStatus.textContent = "Filesystem parse error."; return; }
                     const fileData = readFATFile(imgNow, geoNow, f);
-                    saveFileToStorage(f.fullName, fileData, gameSelect.value).then(function() {
-                        fmStatus.textContent = "Saved " + f.fullName + " to storage.";
+                    saveFileToStorage(f.path, fileData, gameSelect.value, f.longName, f.modified).then(function() {
+                        fmStatus.textContent = "Saved " + f.path + " to storage.";
                         if (typeof renderStoredFilesTable === "function") renderStoredFilesTable();
                     }).catch(function() {
-                        fmStatus.textContent = "Failed to save " + f.fullName + ".";
+                        fmStatus.textContent = "Failed to save " + f.path + ".";
                     });
                 });
                 tdAct.appendChild(saveBtn);
             }
         }
+
+        /* Rename / Delete act on files and folders alike */
+        const kind = f.isDir ? "folder " : "";
+        const renBtn = document.createElement("button");
+        renBtn.className = "btn-secondary btn-sm";
+        renBtn.textContent = "Rename";
+        renBtn.setAttribute("aria-label", "Rename " + kind + shownName);
+        renBtn.addEventListener("click", () => renameFileManagerEntry(f));
+        tdAct.appendChild(renBtn);
+
+        const delBtn = document.createElement("button");
+        delBtn.className = "btn-secondary btn-sm";
+        delBtn.textContent = "Delete";
+        delBtn.setAttribute("aria-label", "Delete " + kind + shownName);
+        delBtn.addEventListener("click", () => deleteFileManagerEntry(f));
+        tdAct.appendChild(delBtn);
         tr.appendChild(tdAct);
 
         fmTbody.appendChild(tr);
     }
 }
 
-/** Download a single file from the game disk */
+/**
+ * Apply an edit to a copy of the File Manager's disk and push it back to the
+ * emulator. edit(img, geo) returns true on success. The outcome is shown
+ * in the status line and spoken, and focus returns to the file list.
+ */
+async function commitDiskEdit(edit, doneMsg, failMsg) {
+    const img = getDiskBytesCopy(fmDrive);
+    if (!img) { fmStatus.textContent = "Cannot access disk."; return false; }
+    const geo = parseFATGeometry(img);
+    if (!geo) { fmStatus.textContent = "Cannot parse filesystem."; return false; }
+
+    if (!edit(img, geo)) {
+        fmStatus.textContent = failMsg;
+        announce(failMsg);
+        return false;
+    }
+    if (!await replaceDiskImage(img, fmDrive)) {
+        fmStatus.textContent = "FAT write succeeded but could not push image back to emulator.";
+        announce(fmStatus.textContent);
+        return false;
+    }
+    refreshFileManager();
+    fmStatus.textContent = doneMsg + " " + fmStatus.textContent;
+    const first = fmTbody.querySelector("button");
+    if (first) first.focus();
+    announce(doneMsg);
+    return true;
+}
+
+/** Delete a file or empty folder after confirmation */
+function deleteFileManagerEntry(file) {
+    const label = (file.isDir ? "folder " : "") + fatDisplayName(file.fullName, file.longName);
+    if (file.isDir) {
+        const img = getDiskBytes(fmDrive);
+        const geo = img && parseFATGeometry(img);
+        if (geo && parseFATDir(img, geo, file.firstCluster).length > 0) {
+            fmStatus.textContent = "Folder " + file.fullName + " is not empty. Delete its files first.";
+            announce(fmStatus.textContent);
+            return;
+        }
+    }
+    if (!window.confirm("Delete " + label + "?")) return;
+    commitDiskEdit((img, geo) => deleteFATEntry(img, geo, file.path),
+        "Deleted " + label + ".", "Could not delete " + label + ".");
+}
+
+/** Rename a file or folder within its current folder */
+function renameFileManagerEntry(file) {
+    const newName = window.prompt("New 8.3 name for " + file.fullName + ":", file.fullName);
+    if (newName === null || !newName.trim()) return;
+    const name = newName.trim().toUpperCase();
+    if (!toFATName83(name)) {
+        fmStatus.textContent = "\"" + name + "\" is not a valid DOS name (up to 8 characters, dot, up to 3).";
+        announce(fmStatus.textContent);
+        return;
+    }
+    commitDiskEdit((img, geo) => renameFATEntry(img, geo, file.path, name),
+        "Renamed " + file.fullName + " to " + name + ".",
+        "Could not rename " + file.fullName + ". " + name + " may already exist.");
+}
+
+/** Create a folder inside the current File Manager folder */
+function createFileManagerFolder() {
+    const newName = window.prompt("New folder name (up to 8 characters):", "");
+    if (newName === null || !newName.trim()) return;
+    const name = newName.trim().toUpperCase();
+    if (!toFATName83(name)) {
+        fmStatus.textContent = "\"" + name + "\" is not a valid DOS folder name.";
+        announce(fmStatus.textContent);
+        return;
+    }
+    commitDiskEdit((img, geo) => makeFATDir(img, geo, joinFATPath(fmDirPath, name)),
+        "Created folder " + name + ".",
+        "Could not create folder " + name + ". It may already exist or the disk is full.");
+}
+
+/** Download a single file from the File Manager's disk */
 function downloadFile(file) {
-    const img = getDiskBytes();
+    const img = getDiskBytes(fmDrive);
     if (!img) { fmStatus.textContent = "Read error."; return; }
     const geo = parseFATGeometry(img);
     if (!geo) { fmStatus.textContent = "Filesystem parse error."; return; }
@@ -95,45 +332,95 @@ function downloadFile(file) {
     fmStatus.textContent = "Downloaded " + file.fullName;
 }
 
-/** Upload file(s) to the game disk (floppy or HDD) */
+/** Upload file(s) into the current File Manager folder (floppy or HDD) */
 function uploadFiles(fileList) {
-    const img = getDiskBytesCopy();
+    const img = getDiskBytesCopy(fmDrive);
     if (!img) { fmStatus.textContent = "Cannot access disk."; return; }
     const geo = parseFATGeometry(img);
     if (!geo) { fmStatus.textContent = "Cannot parse filesystem."; return; }
 
     let pending = fileList.length;
     let success = 0;
+    const aliases = []; /* "Game Data.dat as GAMEDA~1.DAT" for long names */
 
     for (const f of fileList) {
         const reader = new FileReader();
         reader.onload = function() {
             const data = new Uint8Array(reader.result);
-            if (writeFATFile(img, geo, f.name, data)) success++;
+            /* Not joinFATPath: that upper-cases, and a long name keeps its case */
+            const target = fmDirPath ? fmDirPath + "\\" + f.name : f.name;
+            const shortName = writeFATFile(img, geo, target, data, new Date(f.lastModified));
+            if (shortName) {
+                success++;
+                if (shortName !== f.name.toUpperCase()) aliases.push(f.name + " as " + shortName);
+            }
             pending--;
-            if (pending === 0) finishUpload(img, success, fileList.length);
+            if (pending === 0) finishUpload(img, success, fileList.length, aliases);
         };
         reader.readAsArrayBuffer(f);
     }
 }
 
-async function finishUpload(img, success, total) {
+async function finishUpload(img, success, total, aliases) {
     /* Write the modified image back to the emulator */
-    const ok = await replaceDiskImage(img);
+    const ok = await replaceDiskImage(img, fmDrive);
     if (ok) {
-        fmStatus.textContent = "Uploaded " + success + "/" + total + " file(s). Type DIR in DOS to see them.";
         refreshFileManager();
+        /* DOS only sees the 8.3 alias, so say what long names became */
+        const aliasNote = aliases.length ? " Saved " + aliases.join(", ") + "." : "";
+        fmStatus.textContent = "Uploaded " + success + "/" + total + " file(s)." + aliasNote + " Type DIR in DOS to see them.";
+        if (aliasNote) announce(aliasNote.trim());
     } else {
         fmStatus.textContent = "FAT write succeeded but could not push image back to emulator. Try saving/restoring machine state instead.";
     }
 }
 
-/** Download the entire game disk as a .img file */
+/**
+ * Collect a folder's contents for writeZip, recursing into subfolders.
+ * ZIP paths use long names where the disk has them, so the files unpack
+ * with their real names elsewhere; timestamps come from the FAT entries.
+ */
+function collectZipEntries(img, geo, dir, zipPrefix, out, depth) {
+    if (depth > 32) return out; /* guard against looped directories */
+    for (const f of parseFATDir(img, geo, dir.firstCluster, dir.path)) {
+        const zipPath = zipPrefix + (f.longName || f.fullName);
+        if (f.isDir) {
+            out.push({ path: zipPath + "/", isDir: true, data: null, modified: f.modified });
+            if (f.firstCluster >= 2) collectZipEntries(img, geo, f, zipPath + "/", out, depth + 1);
+        } else {
+            out.push({ path: zipPath, isDir: false, data: readFATFile(img, geo, f), modified: f.modified });
+        }
+    }
+    return out;
+}
+
+/** Download a folder ("" = the whole disk) as a ZIP, keeping paths and dates */
+async function exportFolderAsZip(path) {
+    const img = getDiskBytes(fmDrive);
+    if (!img) { fmStatus.textContent = "Cannot read disk."; return; }
+    const geo = parseFATGeometry(img);
+    if (!geo) { fmStatus.textContent = "Cannot parse filesystem."; return; }
+    const dir = findFATEntry(img, geo, path);
+    if (!dir || !dir.isDir) { fmStatus.textContent = "Folder not found: " + path; return; }
+
+    const entries = collectZipEntries(img, geo, dir, "", [], 0);
+    const fileCount = entries.filter(e => !e.isDir).length;
+    const zipName = (dir.offset < 0
+        ? (mountedDrives[fmDrive] || "game-disk").replace(/\.[^.]*$/, "")
+        : (dir.longName || dir.fullName)) + ".zip";
+    fmStatus.textContent = "Building " + zipName + "...";
+    const zip = await writeZip(entries);
+    triggerDownload(zip, zipName, "application/zip");
+    fmStatus.textContent = "Downloaded " + zipName + ": " + fileCount + " file(s), " + formatSize(zip.length) + ".";
+    announce(fmStatus.textContent);
+}
+
+/** Download the File Manager's whole disk as a .img file */
 function downloadFloppyImage() {
-    const img = getDiskBytes();
+    const img = getDiskBytes(fmDrive);
     if (!img) { fmStatus.textContent = "Cannot read disk."; return; }
     /* Make a copy so we don't hand out the internal buffer */
-    const dlName = gameSelect.value || "game-disk.img";
+    const dlName = mountedDrives[fmDrive] || "game-disk.img";
     triggerDownload(new Uint8Array(img), dlName, "application/octet-stream");
     const sizeLabel = (img.length / (1024*1024)).toFixed(1) + " MB";
     fmStatus.textContent = "Downloaded disk image (" + sizeLabel + ").";
@@ -6,11 +6,17 @@
  * Stores game files (saves, patches, etc.) across browser sessions.
  * Files are tagged with which game they belong to and shown in the
  * setup screen where the user can check which ones to load at boot.
+ * A second store keeps whole game disks for the "persistent disk" option,
+ * a third the machine snapshots used for fast boot, and a fourth the
+ * named save-state slots.
  * ═══════════════════════════════════════════ */
 
 const FILE_DB_NAME = "dos-player-files";
-const FILE_DB_VERSION = 1;
+const FILE_DB_VERSION = 4;
 const FILE_STORE_NAME = "files";
+const DISK_STORE_NAME = "disks"; /* added in version 2 */
+const BOOT_STATE_STORE_NAME = "bootStates"; /* added in version 3 */
+const SLOT_STORE_NAME = "saveSlots"; /* added in version 4 */
 
 let fileDB = null;
 
@@ -27,6 +33,16 @@ function openFileDB() {
                 store.createIndex("game", "game", { unique: false });
                 store.createIndex("name", "name", { unique: false });
             }
+            if (!db.objectStoreNames.contains(DISK_STORE_NAME)) {
+                db.createObjectStore(DISK_STORE_NAME, { keyPath: "game" });
+            }
+            if (!db.objectStoreNames.contains(BOOT_STATE_STORE_NAME)) {
+                db.createObjectStore(BOOT_STATE_STORE_NAME, { keyPath: "game" });
+            }
+            if (!db.objectStoreNames.contains(SLOT_STORE_NAME)) {
+                var slots = db.createObjectStore(SLOT_STORE_NAME, { keyPath: "key" });
+                slots.createIndex("game", "game", { unique: false });
+            }
         };
         req.onsuccess = function(e) {
             fileDB = e.target.result;
@@ -38,11 +54,13 @@ function openFileDB() {
 
 /**
  * Save a file to persistent storage.
- * @param {string} name     DOS filename (e.g. "SAVE1.DAT")
+ * @param {string} name     DOS filename or path (e.g. "SAVE1.DAT", "SAVES\SAVE1.DAT")
  * @param {ArrayBuffer|Uint8Array} data  File contents
  * @param {string} game     Game image filename (e.g. "tzero-data.img")
+ * @param {string} [longName]  VFAT long name of the file, if it has one
+ * @param {Date} [modified]    File's last-modified time, restored when it is loaded back
  */
-function saveFileToStorage(name, data, game) {
+function saveFileToStorage(name, data, game, longName, modified) {
     return new Promise(function(resolve, reject) {
         if (!fileDB) { reject(new Error("DB not open")); return; }
         /* Normalize data to ArrayBuffer */
@@ -54,6 +72,8 @@ function saveFileToStorage(name, data, game) {
         var record = {
             key: (game || "unknown") + ":" + name.toUpperCase(),
             name: name.toUpperCase(),
+            longName: longName || "",
+            modified: modified ? modified.getTime() : null,
             data: ab,
             size: ab.byteLength,
             game: game || "unknown",
@@ -101,6 +121,144 @@ function getStoredFile(key) {
     });
 }
 
+/* ── Persistent game disks ── */
+
+/**
+ * Store a game's modified disk image, replacing any earlier copy.
+ * @param {string} game      Game image filename (the record key)
+ * @param {ArrayBuffer} data Whole disk image
+ * @param {string} diskType  "floppy" or "hdd", so it is only mounted the same way
+ */
+function saveDiskRecord(game, data, diskType) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(DISK_STORE_NAME, "readwrite");
+        var req = tx.objectStore(DISK_STORE_NAME).put({
+            game: game, data: data, size: data.byteLength, diskType: diskType, timestamp: Date.now()
+        });
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function getDiskRecord(game) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(DISK_STORE_NAME, "readonly");
+        var req = tx.objectStore(DISK_STORE_NAME).get(game);
+        req.onsuccess = function() { resolve(req.result || null); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function deleteDiskRecord(game) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(DISK_STORE_NAME, "readwrite");
+        var req = tx.objectStore(DISK_STORE_NAME).delete(game);
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+/* ── Fast-boot snapshots ── */
+
+/**
+ * Store a game's post-boot machine snapshot, replacing any earlier one.
+ * @param {string} game         Game image filename (the record key)
+ * @param {ArrayBuffer} state   v86 save_state() output
+ * @param {string} fingerprint  Disks and settings it was taken with (see fast-boot.js)
+ * @param {Object|null} textCap The TextCap screen (saveTextCapScreen) if the TSR was running
+ */
+function saveBootStateRecord(game, state, fingerprint, textCap) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(BOOT_STATE_STORE_NAME, "readwrite");
+        var req = tx.objectStore(BOOT_STATE_STORE_NAME).put({
+            game: game, state: state, size: state.byteLength, fingerprint: fingerprint,
+            textCap: textCap, timestamp: Date.now()
+        });
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function getBootStateRecord(game) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(BOOT_STATE_STORE_NAME, "readonly");
+        var req = tx.objectStore(BOOT_STATE_STORE_NAME).get(game);
+        req.onsuccess = function() { resolve(req.result || null); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function deleteBootStateRecord(game) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(BOOT_STATE_STORE_NAME, "readwrite");
+        var req = tx.objectStore(BOOT_STATE_STORE_NAME).delete(game);
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+/* ── Save-state slots ── */
+
+/**
+ * Store a named save-state slot, replacing one of the same name for that game.
+ * @param {string} game         Game image filename
+ * @param {string} name         Slot name as the player typed it
+ * @param {ArrayBuffer} state   v86 save_state() output
+ * @param {string} lastCommand  Last command sent before saving ("" if none)
+ * @param {string} lastResponse Last line of the last response ("" if none)
+ */
+function saveSlotRecord(game, name, state, lastCommand, lastResponse) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(SLOT_STORE_NAME, "readwrite");
+        var req = tx.objectStore(SLOT_STORE_NAME).put({
+            key: game + ":" + name, game: game, name: name, state: state, size: state.byteLength,
+            lastCommand: lastCommand, lastResponse: lastResponse, timestamp: Date.now()
+        });
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function getSlotRecord(game, name) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(SLOT_STORE_NAME, "readonly");
+        var req = tx.objectStore(SLOT_STORE_NAME).get(game + ":" + name);
+        req.onsuccess = function() { resolve(req.result || null); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+/** A game's slots, newest first */
+function listSlotRecords(game) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(SLOT_STORE_NAME, "readonly");
+        var req = tx.objectStore(SLOT_STORE_NAME).index("game").getAll(game);
+        req.onsuccess = function() {
+            resolve(req.result.sort(function(a, b) { return b.timestamp - a.timestamp; }));
+        };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
+function deleteSlotRecord(game, name) {
+    return new Promise(function(resolve, reject) {
+        if (!fileDB) { reject(new Error("DB not open")); return; }
+        var tx = fileDB.transaction(SLOT_STORE_NAME, "readwrite");
+        var req = tx.objectStore(SLOT_STORE_NAME).delete(game + ":" + name);
+        req.onsuccess = function() { resolve(); };
+        req.onerror = function(e) { reject(e.target.error); };
+    });
+}
+
 /* ── Stored files UI (Setup section table) ── */
 
 /**
@@ -140,13 +298,14 @@ async function renderStoredFilesTable() {
             cb.type = "checkbox";
             cb.checked = (f.game === currentGame);
             cb.dataset.fileKey = f.key;
-            cb.setAttribute("aria-label", "Load " + f.name);
+            var shownName = fatDisplayName(f.name, f.longName);
+            cb.setAttribute("aria-label", "Load " + shownName);
             tdCheck.appendChild(cb);
             tr.appendChild(tdCheck);
 
             /* Name */
             var tdName = document.createElement("td");
-            tdName.textContent = f.name;
+            tdName.textContent = shownName;
             tr.appendChild(tdName);
 
             /* Size */
@@ -165,7 +324,7 @@ async function renderStoredFilesTable() {
             rmBtn.className = "btn-secondary btn-sm";
             rmBtn.textContent = "Remove";
             rmBtn.title = "Remove from storage";
-            rmBtn.setAttribute("aria-label", "Remove " + f.name + " from storage");
+            rmBtn.setAttribute("aria-label", "Remove " + shownName + " from storage");
             rmBtn.dataset.fileKey = f.key;
             rmBtn.addEventListener("click", function() {
                 var key = this.dataset.fileKey;
@@ -196,7 +355,8 @@ async function getCheckedStoredFileData() {
         var key = checkboxes[i].dataset.fileKey;
         var record = await getStoredFile(key);
         if (record) {
-            result.push({ name: record.name, data: record.data });
+            result.push({ name: record.name, data: record.data,
+                          modified: record.modified ? new Date(record.modified) : null });
         }
     }
     return result;
@@ -210,6 +370,9 @@ gameSelect.addEventListener("change", function() {
 /* Initialize DB and render table on load */
 openFileDB().then(function() {
     renderStoredFilesTable();
+    if (typeof updatePersistDiskStatus === "function") updatePersistDiskStatus();
+    if (typeof updateFastBootStatus === "function") updateFastBootStatus();
+    if (typeof renderSlotTable === "function") renderSlotTable();
 }).catch(function(e) {
     console.error("Failed to open file storage DB:", e);
     storedFilesStatus.textContent = "File storage unavailable.";
@@ -0,0 +1,284 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Disk Integrity Checker (fsck)
+ *
+ * Checks a FAT12/16/32 image the way CHKDSK does: FAT copies that
+ * disagree, bad chain links, cross-linked and looped chains, chains
+ * whose length doesn't match the file size, invalid directory entries
+ * and lost clusters. With repair set it also fixes them in place,
+ * trusting FAT1 and the first file to claim a cluster.
+ * ═══════════════════════════════════════════ */
+
+/** Characters that may never appear in an 8.3 directory entry name */
+const FSCK_BAD_NAME_CHARS = '"*+,./:;<=>?[\\]|';
+
+let lastFsckReport = null; /* { name, text } of the last check, for download */
+
+/** Is this FAT value the "bad cluster" marker? */
+function isBadClusterMark(geo, val) {
+    if (geo.fatType === 32) return val === 0x0FFFFFF7;
+    return val === (geo.fatType === 12 ? 0xFF7 : 0xFFF7);
+}
+
+/**
+ * Check (and optionally repair) a FAT image.
+ * Returns { problems: [{ kind, path, detail, fixed }], files, dirs,
+ * usedClusters, freeClusters, geo }. kind is one of "fat-mismatch",
+ * "bad-link", "cross-link", "loop", "size", "invalid-entry",
+ * "dot-entries", "lost", "fsinfo".
+ */
+function checkFATImage(img, geo, repair) {
+    const problems = [];
+    const maxCluster = geo.totalClusters + 1;
+    const owner = new Map(); /* cluster -> path of the chain that claimed it */
+    const report = (kind, path, detail) => problems.push({ kind, path, detail, fixed: !!repair });
+    let files = 0, dirs = 0;
+
+    /* ── FAT copies: every copy should match FAT1 ── */
+    for (let copy = 1; copy < geo.fatStarts.length; copy++) {
+        const copyGeo = Object.assign({}, geo, { fatStart: geo.fatStarts[copy] });
+        const differ = [];
+        for (let c = 0; c <= maxCluster; c++) {
+            if (readFATEntry(img, geo, c) !== readFATEntry(img, copyGeo, c)) differ.push(c);
+        }
+        if (differ.length === 0) continue;
+        report("fat-mismatch", "", "FAT" + (copy + 1) + " differs from FAT1 in " + differ.length +
+               " entr" + (differ.length === 1 ? "y" : "ies") + " (first: cluster " + differ[0] + ")");
+        if (repair) {
+            const len = geo.sectorsPerFAT * geo.bytesPerSector;
+            img.copyWithin(geo.fatStarts[copy], geo.fatStart, geo.fatStart + len);
+        }
+    }
+
+    /**
+     * Follow a chain from first, claiming clusters for path. Stops at the
+     * first broken link; with repair the chain is cut there (the entry's
+     * cluster is cleared via clearFirst when the very first link is bad).
+     */
+    function walkChain(first, path, clearFirst) {
+        const clusters = [];
+        let c = first, prev = 0;
+        while (c !== 0) {
+            let bad = "";
+            if (c < 2 || c > maxCluster) bad = "bad-link";
+            else if (owner.get(c) === path) bad = "loop";
+            else if (owner.has(c)) bad = "cross-link";
+            if (bad) {
+                const detail = bad === "bad-link" ? "points to invalid cluster " + c
+                    : bad === "loop" ? "chain loops back to cluster " + c
+                    : "shares cluster " + c + " with " + (owner.get(c) || "\\");
+                report(bad, path, detail);
+                if (repair) {
+                    if (prev) writeFATEntry(img, geo, prev, fatEOFMark(geo));
+                    else clearFirst();
+                }
+                break;
+            }
+            owner.set(c, path);
+            clusters.push(c);
+            const next = readFATEntry(img, geo, c);
+            if (isEOF(geo, next)) break;
+            if (next === 0 || isBadClusterMark(geo, next)) {
+                report("bad-link", path, "chain runs into a " + (next === 0 ? "free" : "bad") + " cluster after " + c);
+                if (repair) writeFATEntry(img, geo, c, fatEOFMark(geo));
+                break;
+            }
+            prev = c;
+            c = next;
+        }
+        return clusters;
+    }
+
+    /* Name bytes, attributes and cluster number of one entry */
+    function checkEntry(f) {
+        let badName = false;
+        for (let i = 0; i < 11; i++) {
+            const b = img[f.offset + i];
+            if ((b < 0x20 && !(i === 0 && b === 0x05)) || FSCK_BAD_NAME_CHARS.indexOf(String.fromCharCode(b)) >= 0) {
+                badName = true;
+                if (repair) img[f.offset + i] = 0x5F; /* "_" */
+            }
+        }
+        if (badName) report("invalid-entry", f.path, "name contains characters DOS does not allow");
+        if (f.attr & 0xC0) {
+            report("invalid-entry", f.path, "reserved attribute bits set (0x" + f.attr.toString(16) + ")");
+            if (repair) img[f.offset + 11] &= 0x3F;
+        }
+        if (f.isDir && f.firstCluster === 0) {
+            report("invalid-entry", f.path, "folder has no cluster");
+            if (repair) img[f.offset] = 0xE5;
+            return false;
+        }
+        return true;
+    }
+
+    /* ── Directory tree: chains, sizes, entries ── */
+    function checkDir(dirCluster, dirPath, depth) {
+        if (depth > 32) return;
+        for (const f of parseFATDir(img, geo, dirCluster, dirPath)) {
+            if (!checkEntry(f)) continue;
+            const clearFirst = () => { setEntryCluster(img, geo, f.offset, 0); writeU32(img, f.offset + 28, 0); };
+            const chain = walkChain(f.firstCluster, f.path, f.isDir ? () => { img[f.offset] = 0xE5; } : clearFirst);
+
+            if (f.isDir) {
+                dirs++;
+                if (chain.length === 0) continue;
+                if (f.size !== 0) {
+                    report("invalid-entry", f.path, "folder has a size of " + f.size);
+                    if (repair) writeU32(img, f.offset + 28, 0);
+                }
+                /* "." must point at the folder itself, ".." at its parent (0 for the root,
+                   though some FAT32 tools store the root cluster) */
+                const dotOff = geo.dataStart + (f.firstCluster - 2) * geo.bytesPerCluster;
+                const parentRef = getEntryCluster(img, geo, dotOff + 32);
+                const parentOk = parentRef === dirCluster || (dirCluster === 0 && parentRef === geo.rootCluster);
+                if (img[dotOff] !== 0x2E || getEntryCluster(img, geo, dotOff) !== f.firstCluster ||
+                    img[dotOff + 32] !== 0x2E || !parentOk) {
+                    report("dot-entries", f.path, "\".\" or \"..\" entry is missing or points to the wrong folder");
+                    if (repair) {
+                        fillDirEntry(img, geo, dotOff, ".          ", 0x10, f.firstCluster, 0);
+                        fillDirEntry(img, geo, dotOff + 32, "..         ", 0x10, dirCluster, 0);
+                    }
+                }
+                checkDir(f.firstCluster, f.path, depth + 1);
+                continue;
+            }
+
+            files++;
+            const expected = Math.ceil(f.size / geo.bytesPerCluster);
+            if (chain.length > expected) {
+                report("size", f.path, "size is " + f.size + " bytes but the chain has " + chain.length +
+                       " cluster(s); " + (chain.length - expected) + " extra");
+                if (repair) {
+                    if (expected === 0) setEntryCluster(img, geo, f.offset, 0);
+                    else writeFATEntry(img, geo, chain[expected - 1], fatEOFMark(geo));
+                    for (const c of chain.slice(expected)) {
+                        writeFATEntry(img, geo, c, 0x000);
+                        owner.delete(c);
+                    }
+                }
+            } else if (chain.length < expected) {
+                report("size", f.path, "size is " + f.size + " bytes but the chain only holds " +
+                       (chain.length * geo.bytesPerCluster) + " bytes");
+                if (repair) writeU32(img, f.offset + 28, chain.length * geo.bytesPerCluster);
+            }
+        }
+    }
+
+    /* The FAT32 root directory is itself a chain */
+    if (geo.rootCluster) walkChain(geo.rootCluster, "\\", () => {});
+    checkDir(0, "", 0);
+
+    /* ── Lost clusters: in use in the FAT but owned by nobody ── */
+    let lost = 0, free = 0;
+    for (let c = 2; c <= maxCluster; c++) {
+        const val = readFATEntry(img, geo, c);
+        if (val === 0) { free++; continue; }
+        if (owner.has(c) || isBadClusterMark(geo, val)) continue;
+        lost++;
+        if (repair) { writeFATEntry(img, geo, c, 0x000); free++; }
+    }
+    if (lost) {
+        report("lost", "", lost + " lost cluster(s) (" + formatSize(lost * geo.bytesPerCluster) +
+               ") marked in use but not part of any file");
+    }
+
+    /* ── FAT32 FSInfo free count ── */
+    if (geo.fsInfoOffset >= 0) {
+        const recorded = readU32(img, geo.fsInfoOffset + 488);
+        if (recorded !== 0xFFFFFFFF && recorded !== free) {
+            report("fsinfo", "", "FSInfo says " + recorded + " free clusters, actually " + free);
+            if (repair) writeU32(img, geo.fsInfoOffset + 488, free);
+        }
+    }
+
+    return { problems, files, dirs, usedClusters: geo.totalClusters - free, freeClusters: free, geo };
+}
+
+/** One-sentence summary of a check result, for speech and the status line */
+function summarizeFsck(result, repaired) {
+    const counts = {};
+    for (const p of result.problems) counts[p.kind] = (counts[p.kind] || 0) + 1;
+    const labels = {
+        "fat-mismatch": ["FAT copy mismatch", "FAT copy mismatches"],
+        "bad-link": ["broken chain", "broken chains"],
+        "cross-link": ["cross-linked file", "cross-linked files"],
+        "loop": ["looped chain", "looped chains"],
+        "size": ["size mismatch", "size mismatches"],
+        "invalid-entry": ["invalid entry", "invalid entries"],
+        "dot-entries": ["bad folder link", "bad folder links"],
+        "lost": ["lost cluster group", "lost cluster groups"],
+        "fsinfo": ["wrong free count", "wrong free counts"]
+    };
+    const freeText = formatSize(result.freeClusters * result.geo.bytesPerCluster) + " free.";
+    const scanned = result.files + " file(s) in " + result.dirs + " folder(s)";
+    if (result.problems.length === 0) return "Disk check: no problems found. " + scanned + ", " + freeText;
+    const parts = Object.keys(counts).map(k => counts[k] + " " + labels[k][counts[k] === 1 ? 0 : 1]);
+    return (repaired ? "Repaired " : "Disk check found ") + result.problems.length + " problem(s): " +
+        parts.join(", ") + ". " + scanned + ", " + freeText;
+}
+
+/** Plain-text report listing every problem */
+function formatFsckReport(result, diskName, repaired) {
+    const geo = result.geo;
+    const lines = [
+        "Disk check report: " + diskName,
+        "Date: " + new Date().toLocaleString(),
+        "Filesystem: FAT" + geo.fatType + ", " + geo.totalClusters + " clusters of " + geo.bytesPerCluster + " bytes, " +
+            geo.numFATs + " FAT copies",
+        "Mode: " + (repaired ? "check and repair" : "check only"),
+        "",
+        summarizeFsck(result, repaired),
+        ""
+    ];
+    for (const p of result.problems) {
+        lines.push("[" + p.kind + "] " + (p.path ? p.path + ": " : "") + p.detail + (p.fixed ? " (fixed)" : ""));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+/* ── File Manager UI ── */
+
+/**
+ * Check the File Manager's disk; with repair, fix it and push the result back to
+ * the emulator. The summary is spoken and the full report kept for
+ * "Download Report".
+ */
+async function runDiskCheck(repair) {
+    if (repair && !window.confirm("Repair the disk in " + fmDrive + "? DOS may have parts of it cached; " +
+                                  "quit the game to the DOS prompt first if you can.")) return;
+    const img = repair ? getDiskBytesCopy(fmDrive) : getDiskBytes(fmDrive);
+    if (!img) { fmStatus.textContent = "Cannot read disk."; return; }
+    const geo = parseFATGeometry(img);
+    if (!geo) { fmStatus.textContent = "Cannot parse filesystem."; return; }
+
+    const result = checkFATImage(img, geo, repair);
+    const repaired = repair && result.problems.length > 0;
+    if (repaired && !await replaceDiskImage(img, fmDrive)) {
+        fmStatus.textContent = "Repairs made but could not push image back to emulator.";
+        announce(fmStatus.textContent);
+        return;
+    }
+
+    const diskName = mountedDrives[fmDrive] || "game disk";
+    lastFsckReport = {
+        name: diskName.replace(/\.[^.]*$/, "") + "-check.txt",
+        text: formatFsckReport(result, diskName, repaired)
+    };
+    fmFsckReportBtn.disabled = false;
+    if (repaired) refreshFileManager();
+
+    let summary = summarizeFsck(result, repaired);
+    if (!repair && result.problems.length > 0) summary += " Use Repair Disk to fix them.";
+    fmStatus.textContent = summary;
+    announce(summary);
+    trace("FSCK", summary);
+}
+
+/** Download the last disk check report as a text file */
+function downloadFsckReport() {
+    if (!lastFsckReport) return;
+    triggerDownload(lastFsckReport.text, lastFsckReport.name, "text/plain");
+    fmStatus.textContent = "Downloaded " + lastFsckReport.name;
+}
@@ -70,22 +70,31 @@ function applyGamePreset() {
     customFloppyBlob = null;
 }
 
+/**
+ * Make an in-memory image the game disk for the next boot, listed as
+ * "Custom: <name>" in the game selector. Shared by the .img picker and
+ * the disk image builder.
+ */
+function loadCustomImage(name, buffer) {
+    customFloppyBlob = buffer; /* ArrayBuffer */
+    /* Add or update a "Custom" option in the game selector */
+    let opt = gameSelect.querySelector('option[data-custom="1"]');
+    if (!opt) {
+        opt = document.createElement("option");
+        opt.setAttribute("data-custom", "1");
+        gameSelect.appendChild(opt);
+    }
+    opt.value = name;
+    opt.textContent = "Custom: " + name;
+    gameSelect.value = name;
+}
+
 /** Handle loading a custom .img file from the file picker */
 function handleCustomImgUpload(file) {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = function() {
-        customFloppyBlob = reader.result; /* ArrayBuffer */
-        /* Add or update a "Custom" option in the game selector */
-        let opt = gameSelect.querySelector('option[data-custom="1"]');
-        if (!opt) {
-            opt = document.createElement("option");
-            opt.setAttribute("data-custom", "1");
-            gameSelect.appendChild(opt);
-        }
-        opt.value = file.name;
-        opt.textContent = "Custom: " + file.name;
-        gameSelect.value = file.name;
+        loadCustomImage(file.name, reader.result);
         setStatus("loading", "Custom image loaded: " + file.name + " (" + (file.size / 1024).toFixed(0) + " KB)");
     };
     reader.readAsArrayBuffer(file);
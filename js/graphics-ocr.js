@@ -0,0 +1,336 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Graphics-Mode Text Recognition
+ *
+ * Without the TextCap TSR, a game in graphics mode leaves nothing for
+ * the screen reader. Many such games draw their text with the VGA
+ * BIOS's own fonts, so the screen can be read back by matching 8-pixel
+ * wide character cells against the 8x8, 8x14 and 8x16 fonts in
+ * vgabios.bin. Pixels come from v86's decoded VGA memory (one colour
+ * index per pixel), or from the canvas when that isn't available.
+ *
+ * "Fixed grid" (the default) reads cells at multiples of the font size,
+ * like text mode. "Scan" looks for text at any pixel row and horizontal
+ * offset, for games that print into windows placed off the grid; it is
+ * far slower, so it yields to the page every few milliseconds, gives up
+ * after a time budget, and only tries the font that suits the screen
+ * height. It works on a copy of the pixels, since the game keeps
+ * drawing while it runs. Recognized lines go into screenBuffer, so
+ * speech, history and read mode treat them like text-mode lines.
+ * ═══════════════════════════════════════════ */
+
+const OCR_FONT_HEIGHTS = [8, 14, 16];
+
+/* The "A" glyph of each IBM font, used to find the tables in the ROM */
+const OCR_FONT_SIGNATURES = {
+    8:  [0x30, 0x78, 0xCC, 0xCC, 0xFC, 0xCC, 0xCC, 0x00],
+    14: [0x00, 0x00, 0x10, 0x38, 0x6C, 0xC6, 0xC6, 0xFE, 0xC6, 0xC6, 0xC6, 0x00, 0x00, 0x00],
+    16: [0x00, 0x00, 0x10, 0x38, 0x6C, 0xC6, 0xC6, 0xFE, 0xC6, 0xC6, 0xC6, 0xC6, 0x00, 0x00, 0x00, 0x00]
+};
+
+/* A line only counts with this many letters or digits, and this share of its cells recognized */
+const OCR_MIN_LETTERS = 3;
+const OCR_MIN_RECOGNIZED = 0.6;
+
+/* Scan mode runs in slices this long between yields, and stops after the budget */
+const OCR_SCAN_SLICE_MS = 20;
+const OCR_SCAN_BUDGET_MS = 2000;
+
+let ocrFonts = null;        /* Promise of { 8|14|16: Map(bitmap hash -> char code) } */
+let ocrNoticeShown = false; /* the "graphics mode" notice is on screen instead of text */
+let ocrLastPixels = null;   /* copy of the pixels last recognized, to skip unchanged screens */
+let ocrLastMode = "";
+let ocrBusy = false;        /* a recognition is running (scan mode spans several ticks) */
+
+/** Fetch vgabios.bin once and pull its fonts out */
+function loadOcrFonts() {
+    if (!ocrFonts) {
+        ocrFonts = fetch("vgabios.bin")
+            .then(resp => {
+                if (!resp.ok) throw new Error("Could not fetch vgabios.bin");
+                return resp.arrayBuffer();
+            })
+            .then(parseVgaFonts);
+        /* Try again next time instead of keeping a failure */
+        ocrFonts.catch(() => { ocrFonts = null; });
+    }
+    return ocrFonts;
+}
+
+function findBytes(haystack, needle) {
+    outer: for (let i = 0; i + needle.length <= haystack.length; i++) {
+        for (let j = 0; j < needle.length; j++) if (haystack[i + j] !== needle[j]) continue outer;
+        return i;
+    }
+    return -1;
+}
+
+/** FNV-1a step: fold one scanline byte into a bitmap hash */
+function hashScanline(hash, bits) {
+    return Math.imul(hash ^ bits, 16777619);
+}
+
+/**
+ * Map each font's glyph bitmaps (hashed, one byte per scanline) to
+ * character codes. Where glyphs look alike, letters and punctuation win
+ * over graphics characters, and those over control-code symbols.
+ */
+function parseVgaFonts(buffer) {
+    const rom = new Uint8Array(buffer);
+    const order = [];
+    for (let c = 33; c < 127; c++) order.push(c);
+    for (let c = 128; c < 255; c++) order.push(c);
+    for (let c = 1; c < 32; c++) order.push(c);
+    order.push(127);
+
+    const fonts = {};
+    for (const h of OCR_FONT_HEIGHTS) {
+        const found = findBytes(rom, OCR_FONT_SIGNATURES[h]);
+        if (found < 0x41 * h) continue;
+        const table = found - 0x41 * h;
+        const glyphs = new Map();
+        for (const code of order) {
+            const bytes = rom.subarray(table + code * h, table + (code + 1) * h);
+            /* Blank and solid cells say nothing; they read as spaces */
+            if (bytes.every(b => b === 0) || bytes.every(b => b === 0xFF)) continue;
+            const key = bytes.reduce(hashScanline, 2166136261);
+            if (!glyphs.has(key)) glyphs.set(key, code);
+        }
+        fonts[h] = glyphs;
+    }
+    if (!Object.keys(fonts).length) throw new Error("No fonts found in vgabios.bin");
+    return fonts;
+}
+
+/**
+ * The graphics screen as { width, height, data, stride }: one value per
+ * pixel, equal values meaning equal colours. Null when there is none.
+ */
+function readGraphicsPixels() {
+    const vga = emulator && emulator.v86 && emulator.v86.cpu.devices.vga;
+    if (vga && vga.graphical_mode && !vga.svga_enabled && vga.pixel_buffer && vga.screen_width) {
+        return {
+            width: vga.screen_width, height: vga.screen_height,
+            data: vga.pixel_buffer, stride: vga.virtual_width || vga.screen_width
+        };
+    }
+    const canvas = document.querySelector("#v86-screen-container canvas");
+    if (!canvas || !canvas.width || !canvas.height) return null;
+    const image = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+    return { width: canvas.width, height: canvas.height, data: new Uint32Array(image.data.buffer), stride: canvas.width };
+}
+
+/**
+ * Character code of the 8 x h cell at (x, y): 32 for a cell of one
+ * colour, -1 when no glyph fits. The top-left pixel's colour is taken
+ * as background; if that guess was wrong the inverted bitmap matches.
+ */
+function matchCell(px, glyphs, x, y, h) {
+    const data = px.data, stride = px.stride;
+    const base = data[y * stride + x];
+    let key = 2166136261, inverse = 2166136261, any = 0;
+    for (let offset = y * stride + x, end = offset + h * stride; offset < end; offset += stride) {
+        const bits = (data[offset] !== base) << 7 | (data[offset + 1] !== base) << 6 |
+            (data[offset + 2] !== base) << 5 | (data[offset + 3] !== base) << 4 |
+            (data[offset + 4] !== base) << 3 | (data[offset + 5] !== base) << 2 |
+            (data[offset + 6] !== base) << 1 | (data[offset + 7] !== base);
+        any |= bits;
+        key = hashScanline(key, bits);
+        inverse = hashScanline(inverse, ~bits & 0xFF);
+    }
+    if (!any) return 32;
+    const code = glyphs.get(key);
+    if (code !== undefined) return code;
+    const inv = glyphs.get(inverse);
+    return inv !== undefined ? inv : -1;
+}
+
+/**
+ * Read one line of cells starting at pixel (x, y). Returns { codes,
+ * letters, recognized } or null when it doesn't look like text.
+ */
+function readCellLine(px, glyphs, x, y, h) {
+    const codes = [];
+    let letters = 0, recognized = 0, marked = 0;
+    for (let cx = x; cx + 8 <= px.width; cx += 8) {
+        const code = matchCell(px, glyphs, cx, y, h);
+        codes.push(code < 0 ? 32 : code);
+        if (code === 32) continue;
+        marked++;
+        if (code < 0) {
+            /* Give up once even recognizing every remaining cell couldn't reach the share */
+            const remaining = Math.floor((px.width - cx - 8) / 8);
+            if (recognized + remaining < (marked + remaining) * OCR_MIN_RECOGNIZED) return null;
+            continue;
+        }
+        recognized++;
+        const ch = CP437[code] || "";
+        if (/[A-Za-z0-9]/.test(ch)) letters++;
+    }
+    if (letters < OCR_MIN_LETTERS || recognized < marked * OCR_MIN_RECOGNIZED) return null;
+    return { codes, letters, recognized };
+}
+
+/** Fixed grid: cells at multiples of 8 x h */
+function recognizeGrid(px, glyphs, h) {
+    const lines = [];
+    for (let y = 0; y + h <= px.height; y += h) {
+        const line = readCellLine(px, glyphs, 0, y, h);
+        if (line) lines.push(Object.assign(line, { y }));
+    }
+    return lines;
+}
+
+/**
+ * Scan: try every pixel row and the eight horizontal offsets. Once a row
+ * reads as text, the next few rows are tried too and the best kept
+ * (glyphs with blank top lines can match a pixel or two early). Yields
+ * between slices; past the time budget, returns what it has so far.
+ */
+async function recognizeScan(px, glyphs, h) {
+    const started = performance.now();
+    let sliceStart = started;
+    const lines = [];
+    const bestAt = y => {
+        let best = null;
+        for (let x = 0; x < 8; x++) {
+            const line = readCellLine(px, glyphs, x, y, h);
+            if (line && (!best || line.recognized > best.recognized)) best = Object.assign(line, { y, x });
+        }
+        return best;
+    };
+    for (let y = 0; y + h <= px.height; y++) {
+        if (performance.now() - sliceStart > OCR_SCAN_SLICE_MS) {
+            if (performance.now() - started > OCR_SCAN_BUDGET_MS) {
+                trace("OCR", "Scan stopped at pixel row " + y + " of " + px.height + " (time budget)");
+                break;
+            }
+            await new Promise(r => setTimeout(r, 0));
+            sliceStart = performance.now();
+        }
+        let best = bestAt(y);
+        if (!best) continue;
+        for (let dy = 1; dy < Math.min(4, h) && y + dy + h <= px.height; dy++) {
+            const other = bestAt(y + dy);
+            if (other && other.recognized > best.recognized) best = other;
+        }
+        lines.push(best);
+        y = best.y + h - 1;
+    }
+    return lines;
+}
+
+/**
+ * Recognize the graphics screen with the font that finds the most
+ * letters (trying the one that suits the screen height first). Scan mode
+ * only tries that one; the grid is cheap enough to try them all.
+ */
+async function recognizeGraphicsScreen(px, fonts, mode) {
+    const preferred = px.height % 14 === 0 && px.height % 16 !== 0 ? 14 : px.height <= 200 ? 8 : 16;
+    let heights = [preferred].concat(OCR_FONT_HEIGHTS.filter(h => h !== preferred)).filter(h => fonts[h]);
+    if (mode !== "grid") heights = heights.slice(0, 1);
+    let best = [], bestLetters = 0;
+    for (const h of heights) {
+        const lines = mode === "grid" ? recognizeGrid(px, fonts[h], h) : await recognizeScan(px, fonts[h], h);
+        const letters = lines.reduce((n, l) => n + l.letters, 0);
+        if (letters > bestLetters) { best = lines.map(l => Object.assign(l, { h, screenHeight: px.height })); bestLetters = letters; }
+        /* The preferred font finding text is the common case; don't spend time on the others */
+        if (h === preferred && letters > 0) break;
+    }
+    return best;
+}
+
+/**
+ * Put recognized lines into screenBuffer, keeping their order and rough
+ * position on screen (a 480-line screen has more text lines than ROWS).
+ */
+function placeRecognizedLines(lines) {
+    for (let r = 0; r < ROWS; r++) { screenBuffer[r].fill(0x20); screenAttrs[r].fill(0x07); }
+    let nextFree = 0;
+    for (const line of lines) {
+        const row = Math.max(nextFree, Math.floor(line.y * ROWS / line.screenHeight));
+        if (row >= ROWS) break;
+        line.codes.slice(0, COLS).forEach((code, i) => { screenBuffer[row][i] = code; });
+        nextFree = row + 1;
+    }
+}
+
+/** True when the screen (and mode) are what was recognized last time */
+function pixelsUnchanged(px, mode) {
+    const data = px.data.subarray(0, px.stride * px.height);
+    const same = mode === ocrLastMode && ocrLastPixels && ocrLastPixels.length === data.length &&
+        ocrLastPixels.every((v, i) => v === data[i]);
+    if (!same) { ocrLastPixels = data.slice(); ocrLastMode = mode; }
+    return same;
+}
+
+/**
+ * Graphics-mode tick without TextCap: recognize the screen and show the
+ * text, or the "graphics mode" notice when nothing could be read.
+ */
+async function readGraphicsScreen(mode) {
+    if (ocrBusy) return;
+    ocrBusy = true;
+    let lines, snapshot;
+    try {
+        const fonts = await loadOcrFonts();
+        const px = readGraphicsPixels();
+        if (!px || pixelsUnchanged(px, mode)) return;
+        /* Recognize the copy: the live buffer changes while a scan yields */
+        snapshot = ocrLastPixels;
+        px.data = snapshot;
+        lines = await recognizeGraphicsScreen(px, fonts, mode);
+    } catch (e) {
+        trace("OCR", "Recognition failed: " + e.message);
+        lines = [];
+    } finally {
+        ocrBusy = false;
+    }
+    /* Text mode came back (or another screen was taken) meanwhile */
+    if (snapshot && ocrLastPixels !== snapshot) return;
+    if (!lines.length) {
+        if (!ocrNoticeShown) showGraphicsModeNotice();
+        return;
+    }
+    if (ocrNoticeShown) clearGraphicsModeNotice();
+    placeRecognizedLines(lines);
+}
+
+/** Back in text mode: start afresh next time graphics mode comes up */
+function leaveGraphicsReading() {
+    ocrLastPixels = null;
+    if (ocrNoticeShown) clearGraphicsModeNotice();
+}
+
+/** The notice was drawn straight into the DOM; make refreshScreen redraw every line */
+function clearGraphicsModeNotice() {
+    prevLines = new Array(ROWS).fill(null);
+    ocrNoticeShown = false;
+}
+
+/** Explain on the accessible screen that this graphics screen can't be read */
+function showGraphicsModeNotice() {
+    const gLines = [
+        "GRAPHICS MODE DETECTED — Screen reader limited",
+        "",
+        "This game uses a graphical display.",
+        "Text cannot be automatically read from the screen.",
+        "",
+        "You can still type commands in the input box.",
+        "If the game has a text prompt, typed commands",
+        "will be sent to it.",
+        "",
+        "Press F2 to hear this message again.",
+        "Press Escape in game to skip title screens.",
+    ];
+    for (let r = 0; r < ROWS; r++) {
+        const el = document.getElementById("screen-line-" + r);
+        if (el) {
+            const txt = r < gLines.length ? gLines[r] : "";
+            el.textContent = txt || "\u00A0";
+            el.setAttribute("aria-label", "Line " + (r+1) + ": " + (txt || "blank"));
+        }
+    }
+    ocrNoticeShown = true;
+}
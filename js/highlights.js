@@ -0,0 +1,112 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Highlights
+ *
+ * Menus driven by arrow keys often show the selection only by colour:
+ * the chosen item is drawn in inverse video or on another background,
+ * and moving it changes no characters. Each refresh looks for runs of
+ * text whose attribute differs from the screen's normal colour. When a
+ * highlighted run turns up somewhere new, or the text under a bar that
+ * stays put changes (a list picker scrolling its items), it is announced
+ * as "selected: <text>" once the screen has held still for a moment. The
+ * status line is left to status-line.js. READ mode "a" lists every
+ * highlighted or coloured run on screen.
+ * ═══════════════════════════════════════════ */
+
+const HIGHLIGHT_SETTLE_MS = 250;
+/* More new highlights at once than this is a new screen, not a moved selection */
+const HIGHLIGHT_MAX_NEW = 2;
+
+let highlightSeen = "";              /* span keys at the last refresh */
+let highlightAnnounced = new Set();  /* span keys when last announced */
+let highlightTimer = null;
+
+/** VGA text of a row, from screenBuffer itself (other sources have no attributes) */
+function vgaRowText(r) {
+    let s = "";
+    for (let c = 0; c < COLS; c++) s += CP437[screenBuffer[r][c]] || " ";
+    return s;
+}
+
+/** The attribute most non-blank cells have: the screen's normal text colour */
+function normalAttr() {
+    const counts = new Map();
+    let best = 0x07, bestCount = 0;
+    for (let r = 0; r < ROWS; r++) {
+        for (let c = 0; c < COLS; c++) {
+            if (screenBuffer[r][c] === 0x20 || screenBuffer[r][c] === 0) continue;
+            const a = screenAttrs[r][c], n = (counts.get(a) || 0) + 1;
+            counts.set(a, n);
+            if (n > bestCount) { best = a; bestCount = n; }
+        }
+    }
+    return best;
+}
+
+/**
+ * Runs of text in an attribute other than the normal one:
+ * [{ row, start, end, attr, text, highlighted }]. `highlighted` means a
+ * different background, the usual way a selection is marked.
+ */
+function findAttrSpans() {
+    const normal = normalAttr();
+    const spans = [];
+    for (let r = 0; r < ROWS; r++) {
+        const attrs = screenAttrs[r];
+        let line = null;
+        for (let c = 0; c < COLS;) {
+            const attr = attrs[c];
+            let end = c + 1;
+            while (end < COLS && attrs[end] === attr) end++;
+            if (attr !== normal) {
+                if (line === null) line = vgaRowText(r);
+                const text = line.slice(c, end).trim();
+                if (text) {
+                    spans.push({ row: r, start: c, end, attr, text,
+                                 highlighted: (attr & 0x70) !== (normal & 0x70) });
+                }
+            }
+            c = end;
+        }
+    }
+    return spans;
+}
+
+/* Position and text: a bar that stays still over new text is a new selection */
+function spanKey(s) { return s.row + ":" + s.start + ":" + s.end + ":" + s.text; }
+
+/** Highlighted spans that could be a selection (not on the status line) */
+function selectionSpans() {
+    return findAttrSpans().filter(s => s.highlighted && !statusRows.includes(s.row));
+}
+
+/**
+ * Called each refresh in text mode. Waits for the highlights to hold
+ * still, then announces the ones in new places.
+ */
+function trackHighlights() {
+    const keys = selectionSpans().map(spanKey).join(" ");
+    if (keys === highlightSeen) return;
+    highlightSeen = keys;
+    clearTimeout(highlightTimer);
+    highlightTimer = setTimeout(announceHighlightChange, HIGHLIGHT_SETTLE_MS);
+}
+
+function announceHighlightChange() {
+    const spans = selectionSpans();
+    const fresh = spans.filter(s => !highlightAnnounced.has(spanKey(s)));
+    highlightAnnounced = new Set(spans.map(spanKey));
+    if (!isReady || !announceHighlightToggle.checked || keyMode === "read") return;
+    if (!fresh.length || fresh.length > HIGHLIGHT_MAX_NEW) return;
+    trace("SCREEN", "Highlight moved to " + fresh.map(s => JSON.stringify(s.text)).join(", "));
+    speak("selected: " + fresh.map(s => s.text).join(", "));
+}
+
+/** READ mode "a": say every highlighted or coloured run, top to bottom */
+function speakAttrSpans() {
+    const spans = findAttrSpans();
+    if (!spans.length) { speak("No highlighted or coloured text."); return; }
+    speak(spans.length + (spans.length === 1 ? " coloured span. " : " coloured spans. ") +
+        spans.map(s => "Line " + (s.row + 1) + ": " + s.text + ", " + describeAttr(s.attr)).join(". "));
+}
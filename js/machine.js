@@ -0,0 +1,89 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Machine Profiles
+ *
+ * Memory size, CPU speed, ACPI and boot order, per game. A preset can
+ * set them with `machine` in KNOWN_GAMES; the Setup controls are saved
+ * with the other per-game settings and read at boot.
+ *
+ * v86 has no instruction-rate option, so the throttle delays the
+ * emulator's next time slice whenever it has run more instructions than
+ * the chosen rate allows. v86 emulates no HPET, so there is no HPET
+ * toggle; ACPI maps straight to v86's `acpi` option.
+ * ═══════════════════════════════════════════ */
+
+/** Show a profile in the Setup controls, adding a choice a preset needs but the list lacks */
+function applyMachineProfile(s) {
+    setMachineSelect(machineMemorySelect, s.memoryMB, s.memoryMB + " MB");
+    setMachineSelect(machineCpuSelect, s.cpuThrottle, formatInstructionRate(s.cpuThrottle));
+    machineBootSelect.value = MACHINE_BOOT_ORDERS[s.bootOrder] ? s.bootOrder : "floppy";
+    machineAcpiToggle.checked = !!s.acpi;
+}
+
+function setMachineSelect(select, value, label) {
+    const v = String(value);
+    if (!select.querySelector('option[value="' + v + '"]')) {
+        const o = document.createElement("option");
+        o.value = v;
+        o.textContent = label;
+        select.appendChild(o);
+    }
+    select.value = v;
+}
+
+/** "about 2.7 million instructions/s", or "full speed" for 0 */
+function formatInstructionRate(ips) {
+    ips = Number(ips);
+    if (!ips) return "Full speed";
+    return "About " + (ips / 1e6).toFixed(ips < 1e6 ? 2 : 1) + " million instructions/s";
+}
+
+/** The profile in the Setup controls: { memoryMB, cpuThrottle, acpi, bootOrder } */
+function getMachineProfile() {
+    return {
+        memoryMB: parseInt(machineMemorySelect.value, 10) || GAME_SETTING_DEFAULTS.memoryMB,
+        cpuThrottle: parseInt(machineCpuSelect.value, 10) || 0,
+        acpi: machineAcpiToggle.checked,
+        bootOrder: MACHINE_BOOT_ORDERS[machineBootSelect.value] ? machineBootSelect.value : "floppy"
+    };
+}
+
+/** Copy a profile into a v86 config */
+function applyMachineConfig(config, profile) {
+    config.memory_size = profile.memoryMB * 1024 * 1024;
+    config.boot_order = MACHINE_BOOT_ORDERS[profile.bootOrder];
+    config.acpi = profile.acpi;
+}
+
+/** One line for the trace: "32 MB, full speed, ACPI off, boot floppy" */
+function describeMachineProfile(profile) {
+    return profile.memoryMB + " MB, " + formatInstructionRate(profile.cpuThrottle).toLowerCase() +
+        ", ACPI " + (profile.acpi ? "on" : "off") + ", boot " + profile.bootOrder;
+}
+
+/**
+ * Hold the emulator to about ips instructions per second (0 = no limit).
+ * v86 runs in slices and schedules the next one with next_tick(delay);
+ * when the slices so far are ahead of the target rate, the next one
+ * waits until the clock catches up. The count restarts when the emulator
+ * falls a second behind, so a long pause (a hidden tab) doesn't bank a
+ * burst of full speed. Call it once emu.v86 exists (after "emulator-loaded").
+ */
+function startCpuThrottle(emu, ips) {
+    const v86 = emu.v86;
+    if (!ips || !v86 || v86.throttleWrapped) return;
+    let windowStart = performance.now();
+    let windowCount = emu.get_instruction_counter();
+    const origNextTick = v86.next_tick;
+    v86.next_tick = function(delay) {
+        const now = performance.now();
+        const count = emu.get_instruction_counter();
+        const executed = (count - windowCount) >>> 0;
+        const ahead = executed / ips * 1000 - (now - windowStart);
+        /* Start counting afresh when far behind, and before the 32-bit counter can wrap */
+        if (ahead < -1000 || now - windowStart > 60000) { windowStart = now; windowCount = count; }
+        return origNextTick.call(this, ahead > 0 ? Math.max(delay, ahead) : delay);
+    };
+    v86.throttleWrapped = true;
+}
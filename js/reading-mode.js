@@ -2,6 +2,9 @@
 
 /* ═══════════════════════════════════════════
  * VI-like Reading Mode
+ *
+ * readRow counts screen rows from 0. While reading scrollback, readBack
+ * is the line's index in it instead (oldest 0), -1 when on the screen.
  * ═══════════════════════════════════════════ */
 
 /** Switch between insert and read modes */
@@ -19,6 +22,7 @@ function setMode(mode) {
         /* Start at first non-blank line */
         const firstNB = findFirstNonBlankLine();
         if (firstNB >= 0) readRow = firstNB;
+        readBack = -1;
         readCol = 0;
         updateReadingCursor();
         speakCurrentLine();
@@ -35,29 +39,53 @@ function findLastNonBlankLine() {
     return 0;
 }
 
+/** Text of the line under the reading cursor, from the screen or scrollback */
+function readLineText() {
+    if (readBack < 0) return rowToString(readRow);
+    return (scrollback[readBack] || "").padEnd(COLS);
+}
+
+/** The reading line counted from the top screen row, negative above it in scrollback */
+function readPosition() {
+    return readBack >= 0 ? readBack - scrollback.length : readRow;
+}
+
+/** Move the reading cursor to a line (as readPosition counts) and say it, with a cue on crossing into or out of scrollback */
+function moveReadRow(pos) {
+    pos = Math.max(-scrollback.length, Math.min(ROWS - 1, pos));
+    const cue = pos < 0 && readBack < 0 ? "scrollback, " : pos >= 0 && readBack >= 0 ? "screen, " : "";
+    if (pos < 0) readBack = scrollback.length + pos;
+    else { readBack = -1; readRow = pos; }
+    readCol = 0;
+    updateReadingCursor();
+    const text = stripBorderBoth(readLineText());
+    speak(cue + (text || "blank line"));
+}
+
 function clearReadingCursor() {
     document.querySelectorAll(".screen-line.reading-cursor").forEach(el => el.classList.remove("reading-cursor"));
 }
 
 function updateReadingCursor() {
     clearReadingCursor();
+    if (readBack >= 0) return;
     const el = document.getElementById("screen-line-" + readRow);
     if (el) { el.classList.add("reading-cursor"); el.focus(); }
 }
 
 function speakCurrentLine() {
-    const text = stripBorderBoth(rowToString(readRow));
+    const text = stripBorderBoth(readLineText());
     speak(text || "blank line");
 }
 
 function speakCharAtCursor() {
-    const line = rowToString(readRow);
+    const line = readLineText();
     const ch = (readCol < line.length) ? line[readCol] : "end of line";
     speak(ch === " " ? "space" : ch);
 }
 
 function getCurrentWord() {
-    const line = rowToString(readRow);
+    const line = readLineText();
     let start = readCol, end = readCol;
     while (start > 0 && line[start - 1] !== " ") start--;
     while (end < line.length && line[end] !== " ") end++;
@@ -73,12 +101,10 @@ function handleReadKey(e) {
             e.preventDefault(); setMode("insert"); break;
         case "j": /* Down one line */
             e.preventDefault();
-            if (readRow < ROWS - 1) readRow++;
-            readCol = 0; updateReadingCursor(); speakCurrentLine(); break;
-        case "k": /* Up one line */
+            moveReadRow(readPosition() + 1); break;
+        case "k": /* Up one line, on into scrollback */
             e.preventDefault();
-            if (readRow > 0) readRow--;
-            readCol = 0; updateReadingCursor(); speakCurrentLine(); break;
+            moveReadRow(readPosition() - 1); break;
         case "l": /* Right one char */
             e.preventDefault();
             if (readCol < COLS - 1) readCol++;
@@ -89,7 +115,7 @@ function handleReadKey(e) {
             speakCharAtCursor(); break;
         case "w": { /* Next word */
             e.preventDefault();
-            const line = rowToString(readRow);
+            const line = readLineText();
             while (readCol < COLS && line[readCol] !== " ") readCol++;
             while (readCol < COLS && line[readCol] === " ") readCol++;
             if (readCol >= COLS) readCol = COLS - 1;
@@ -97,37 +123,35 @@ function handleReadKey(e) {
         }
         case "b": { /* Previous word */
             e.preventDefault();
-            const line = rowToString(readRow);
+            const line = readLineText();
             while (readCol > 0 && line[readCol - 1] === " ") readCol--;
             while (readCol > 0 && line[readCol - 1] !== " ") readCol--;
             speak(getCurrentWord().word); break;
         }
-        case "g": /* First line */
+        case "g": { /* First line; from there (or in scrollback), the oldest scrollback line */
             e.preventDefault();
-            readRow = findFirstNonBlankLine(); readCol = 0;
-            updateReadingCursor(); speakCurrentLine(); break;
+            const first = findFirstNonBlankLine();
+            moveReadRow((readPosition() === first || readBack >= 0) && scrollback.length ? -scrollback.length : first); break;
+        }
         case "G": /* Last non-blank line */
             e.preventDefault();
-            readRow = findLastNonBlankLine(); readCol = 0;
-            updateReadingCursor(); speakCurrentLine(); break;
+            moveReadRow(findLastNonBlankLine()); break;
         case "F7": /* Page up */
             e.preventDefault();
-            readRow = Math.max(0, readRow - 10); readCol = 0;
-            updateReadingCursor(); speakCurrentLine(); break;
+            moveReadRow(readPosition() - 10); break;
         case "F8": /* Page down */
             e.preventDefault();
-            readRow = Math.min(ROWS - 1, readRow + 10); readCol = 0;
-            updateReadingCursor(); speakCurrentLine(); break;
+            moveReadRow(readPosition() + 10); break;
         case "^": { /* Beginning of line (first non-space char) */
             e.preventDefault();
-            const line = rowToString(readRow);
+            const line = readLineText();
             readCol = 0;
             while (readCol < COLS && line[readCol] === " ") readCol++;
             speakCharAtCursor(); break;
         }
         case "$": { /* End of line (last non-space char) */
             e.preventDefault();
-            const line = rowToString(readRow);
+            const line = readLineText();
             readCol = COLS - 1;
             while (readCol > 0 && line[readCol] === " ") readCol--;
             speakCharAtCursor(); break;
@@ -137,12 +161,51 @@ function handleReadKey(e) {
             readCol = 0; speakCharAtCursor(); break;
         case "c": /* Left-click at reading cursor position */
             e.preventDefault();
+            if (readBack >= 0) { speak("Not on screen; in scrollback."); break; }
             simulateMouseClick(readRow, readCol, false);
             break;
         case "C": /* Right-click at reading cursor position */
             e.preventDefault();
+            if (readBack >= 0) { speak("Not on screen; in scrollback."); break; }
             simulateMouseClick(readRow, readCol, true);
             break;
+        case "x": /* Colours of the character under the cursor */
+            e.preventDefault();
+            if (readBack >= 0) { speak("Scrollback keeps no colours."); break; }
+            speakAttrAtCursor();
+            break;
+        case "r": /* Next screen region */
+            e.preventDefault();
+            jumpToRegion(1);
+            break;
+        case "R": /* Previous screen region */
+            e.preventDefault();
+            jumpToRegion(-1);
+            break;
+        case "m": /* Mark a corner of a new screen region */
+            e.preventDefault();
+            markRegionCorner();
+            break;
+        case "s": /* The status line */
+            e.preventDefault();
+            speakStatusLine();
+            break;
+        case "a": /* List highlighted and coloured text */
+            e.preventDefault();
+            speakAttrSpans();
+            break;
+        case ".": /* Jump to DOS's cursor */
+            e.preventDefault();
+            jumpToDOSCursor();
+            break;
+        case "u": /* Undo the last turn */
+            e.preventDefault();
+            undoLastTurn();
+            break;
+        case "d": /* Next disk of a multi-disk game into B: */
+            e.preventDefault();
+            changeToNextDisk();
+            break;
         default:
             /* F-keys still pass through to global handler; block everything else */
             if (!key.startsWith("F")) e.preventDefault();
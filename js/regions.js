@@ -0,0 +1,208 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Screen Regions
+ *
+ * Split-screen games draw a map or picture, a text window and side
+ * panels at once, and response detection only knows prompt lines. Each
+ * game can name rectangles of the screen and give each a policy:
+ *   "speak"    changes are announced on their own, as "<name>: <new lines>"
+ *   "request"  only read when asked (READ-mode r/R, or its Speak button)
+ *   "ignore"   never spoken
+ * Text inside any region is kept out of the normal response, so the
+ * part of the screen outside them is what gets spoken after a command.
+ * In READ mode, m marks two corners of a new region at the reading
+ * cursor, and r/R jump to the next/previous region that isn't ignored
+ * and read it.
+ * Regions are stored as { name, top, left, bottom, right, policy }, all
+ * from 0 and inclusive, in the per-game "regions" setting.
+ * ═══════════════════════════════════════════ */
+
+const REGION_POLICIES = {
+    speak: "Speak on change",
+    request: "Speak on request",
+    ignore: "Ignore"
+};
+
+let regionLastLines = {};   /* region name -> its lines at the last settle */
+let regionMark = null;      /* first corner marked with READ "m": { row, col } */
+let regionIndex = -1;       /* region last jumped to with r/R */
+
+/** A row's text with the cells inside any region blanked */
+function outsideRegions(r, line) {
+    if (!screenRegions.length || !line) return line || "";
+    let chars = null;
+    for (const g of screenRegions) {
+        if (r < g.top || r > g.bottom) continue;
+        if (!chars) chars = line.split("");
+        for (let c = g.left; c <= g.right && c < chars.length; c++) chars[c] = " ";
+    }
+    return chars ? chars.join("") : line;
+}
+
+/** The non-blank lines of text inside a region, borders stripped */
+function regionLines(g) {
+    const lines = [];
+    for (let r = g.top; r <= Math.min(g.bottom, ROWS - 1); r++) {
+        const t = stripBorderBoth(rowToString(r).slice(g.left, g.right + 1));
+        if (t) lines.push(t);
+    }
+    return lines;
+}
+
+/**
+ * New lines in each "speak" region since the last settle, as
+ * "<name>: <lines>" ("" if none). A line counts as new unless it was
+ * there before, anywhere in the region, so scrolling inside the region
+ * doesn't repeat it. The first look at a region only records it.
+ */
+function readRegionChanges() {
+    const news = [];
+    const seen = {};
+    for (const g of screenRegions) {
+        const lines = regionLines(g);
+        seen[g.name] = lines;
+        const before = regionLastLines[g.name];
+        if (g.policy !== "speak" || !before) continue;
+        const counts = new Map();
+        for (const l of before) counts.set(l, (counts.get(l) || 0) + 1);
+        const fresh = lines.filter(l => {
+            const n = counts.get(l) || 0;
+            if (n) counts.set(l, n - 1);
+            return !n;
+        });
+        if (fresh.length) news.push(g.name + ": " + fresh.join(". "));
+    }
+    regionLastLines = seen;
+    if (news.length) trace("SCREEN", "Region changes: " + news.join(" | "));
+    return news.join(". ");
+}
+
+function announceRegionChanges(news) {
+    if (!news || !isReady) return;
+    speak(news, false);
+}
+
+/** "<name>: <its text>" */
+function speakRegion(g) {
+    const lines = regionLines(g);
+    speak(g.name + ": " + (lines.length ? lines.join(". ") : "blank"));
+}
+
+/** "lines 2 to 20, columns 1 to 50" */
+function describeRegionBounds(g) {
+    return "lines " + (g.top + 1) + " to " + (g.bottom + 1) + ", columns " + (g.left + 1) + " to " + (g.right + 1);
+}
+
+/** READ mode r/R: move the reading cursor to the next or previous region and read it, skipping ignored ones */
+function jumpToRegion(step) {
+    if (!screenRegions.some(g => g.policy !== "ignore")) { speak("No screen regions to read for this game."); return; }
+    const n = screenRegions.length;
+    if (regionIndex < 0 && step < 0) regionIndex = 0;
+    do regionIndex = (regionIndex + step + n) % n;
+    while (screenRegions[regionIndex].policy === "ignore");
+    const g = screenRegions[regionIndex];
+    readRow = Math.min(g.top, ROWS - 1);
+    readBack = -1;
+    readCol = Math.min(g.left, COLS - 1);
+    updateReadingCursor();
+    speakRegion(g);
+}
+
+/** READ mode m: mark one corner, then the opposite one, filling in the editor's bounds */
+function markRegionCorner() {
+    if (readBack >= 0) { speak("Not on screen; in scrollback."); return; }
+    if (!regionMark) {
+        regionMark = { row: readRow, col: readCol };
+        speak("Corner marked at line " + (readRow + 1) + ", column " + (readCol + 1) +
+              ". Move to the opposite corner and press m again.");
+        return;
+    }
+    const g = {
+        top: Math.min(regionMark.row, readRow), bottom: Math.max(regionMark.row, readRow),
+        left: Math.min(regionMark.col, readCol), right: Math.max(regionMark.col, readCol)
+    };
+    regionMark = null;
+    regionTopInput.value = g.top + 1;
+    regionLeftInput.value = g.left + 1;
+    regionBottomInput.value = g.bottom + 1;
+    regionRightInput.value = g.right + 1;
+    speak("Region marked, " + describeRegionBounds(g) + ". Name it under Screen Regions and press Add Region.");
+}
+
+/** Add the region described by the editor's fields, replacing one with the same name */
+function addRegionFromEditor() {
+    const name = regionNameInput.value.trim();
+    const nums = [regionTopInput, regionLeftInput, regionBottomInput, regionRightInput].map(el => parseInt(el.value, 10));
+    if (!name) { regionStatus.textContent = "Give the region a name."; return; }
+    if (nums.some(n => !(n >= 1))) { regionStatus.textContent = "Fill in all four bounds (lines and columns from 1), or mark them with m in READ mode."; return; }
+    const [top, left, bottom, right] = nums.map(n => n - 1);
+    const g = {
+        name, policy: regionPolicySelect.value,
+        top: Math.min(top, bottom), bottom: Math.max(top, bottom),
+        left: Math.min(left, right), right: Math.max(left, right)
+    };
+    const i = screenRegions.findIndex(x => x.name === name);
+    if (i >= 0) screenRegions[i] = g; else screenRegions.push(g);
+    delete regionLastLines[name];
+    saveGameSettings();
+    renderRegionTable();
+    regionStatus.textContent = (i >= 0 ? "Updated" : "Added") + " region " + name + ", " + describeRegionBounds(g) + ".";
+}
+
+function deleteRegion(name) {
+    screenRegions = screenRegions.filter(g => g.name !== name);
+    delete regionLastLines[name];
+    regionIndex = -1;
+    saveGameSettings();
+    renderRegionTable();
+    regionStatus.textContent = "Deleted region " + name + ".";
+}
+
+/** Load a region's settings back into the editor for changes */
+function editRegion(g) {
+    regionNameInput.value = g.name;
+    regionPolicySelect.value = g.policy;
+    regionTopInput.value = g.top + 1;
+    regionLeftInput.value = g.left + 1;
+    regionBottomInput.value = g.bottom + 1;
+    regionRightInput.value = g.right + 1;
+    regionNameInput.focus();
+}
+
+function renderRegionTable() {
+    regionTbody.innerHTML = "";
+    regionTable.style.display = screenRegions.length ? "" : "none";
+    regionListStatus.textContent = screenRegions.length
+        ? screenRegions.length + " region(s) for this game."
+        : "No screen regions for this game; the whole screen is read as one.";
+    regionLastLines = {};
+    regionIndex = -1;
+
+    for (const g of screenRegions) {
+        const tr = document.createElement("tr");
+        for (const text of [g.name, describeRegionBounds(g), REGION_POLICIES[g.policy] || g.policy]) {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        const tdAct = document.createElement("td");
+        const actions = [
+            ["Speak", "Speak region " + g.name, () => speakRegion(g)],
+            ["Edit", "Edit region " + g.name, () => editRegion(g)],
+            ["Delete", "Delete region " + g.name, () => deleteRegion(g.name)]
+        ];
+        for (const [label, aria, action] of actions) {
+            const btn = document.createElement("button");
+            btn.className = "btn-secondary btn-sm";
+            btn.textContent = label;
+            btn.setAttribute("aria-label", aria);
+            btn.addEventListener("click", action);
+            tdAct.appendChild(btn);
+        }
+        tr.appendChild(tdAct);
+        regionTbody.appendChild(tr);
+    }
+}
+
+regionAddBtn.addEventListener("click", addRegionFromEditor);
@@ -0,0 +1,177 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Save-State Slots
+ *
+ * Named machine snapshots kept per game in IndexedDB, so saving and
+ * loading needs no download or file picker. Each slot remembers the
+ * last command and the last line of the game's response, which is
+ * usually enough to tell slots apart by ear. Shift+F10 / Shift+F11
+ * save to and load from the "Quick save" slot; slots can also be
+ * exported and imported as the same .v86state files F10/F11 use.
+ * ═══════════════════════════════════════════ */
+
+const QUICK_SLOT_NAME = "Quick save";
+
+/* The game booted in this session: slots are saved for it and only its slots load,
+   whatever the Setup dropdown says now */
+let slotGame = "";
+
+/** Whose slots the table, deletes and imports act on: the booted game, else the selected one */
+function slotTableGame() {
+    return slotGame || gameSelect.value;
+}
+
+/** The last command sent and the last line the game answered with */
+function describeLastTurn() {
+    let lastResponse = "";
+    for (let i = responseLog.length - 1; i >= 0; i--) {
+        if (responseLog[i].type === "command") continue;
+        const lines = responseLog[i].lines.filter(l => l.trim());
+        if (lines.length) { lastResponse = lines[lines.length - 1].trim(); break; }
+    }
+    return { lastCommand: commandHistory[commandHistory.length - 1] || "", lastResponse };
+}
+
+async function saveToSlot(name) {
+    name = name.trim();
+    if (!emulator) return;
+    if (!name) { announce("Type a name for the slot first."); return; }
+    if (!fileDB) { announce("Save slots need browser storage, which is unavailable."); return; }
+    slotStatus.textContent = "Saving to " + name + "...";
+    try {
+        const state = await emulator.save_state();
+        const turn = describeLastTurn();
+        await saveSlotRecord(slotGame, name, state, turn.lastCommand, turn.lastResponse);
+        slotStatus.textContent = "Saved to " + name + " (" + formatSize(state.byteLength) + ").";
+        trace("SLOTS", "Saved slot " + JSON.stringify(name) + " for " + slotGame);
+        speak("Saved to " + name + ".");
+    } catch (e) {
+        slotStatus.textContent = "Save failed: " + e.message;
+        announce("Save failed.");
+    }
+    renderSlotTable();
+}
+
+/** Load a slot of the running game (`game` is the slot's game, checked against it) */
+async function loadFromSlot(name, game) {
+    if (!emulator || !isReady) { announce("Boot the game before loading a slot."); return; }
+    if (game && game !== slotGame) { announce("That slot is for " + game + ". Boot it before loading its slots."); return; }
+    let record;
+    try {
+        record = await getSlotRecord(slotGame, name);
+    } catch (e) {
+        announce("Save slots are unavailable.");
+        return;
+    }
+    if (!record) { speak("No slot named " + name + "."); return; }
+    try {
+        await emulator.restore_state(record.state);
+    } catch (e) {
+        slotStatus.textContent = "Load failed: " + e.message;
+        announce("Load failed.");
+        return;
+    }
+    clearUndoRing(); /* its turns belong to the replaced session */
+    adoptRestoredScreen();
+    awaitingResponse = false;
+    diskDirty = true; /* the disk went back too */
+    trace("SLOTS", "Loaded slot " + JSON.stringify(name) + " for " + slotGame);
+    slotStatus.textContent = "Loaded " + name + ".";
+    announce("Loaded " + name + ", saved " + new Date(record.timestamp).toLocaleString() + "." +
+        (record.lastResponse ? " Last response: " + record.lastResponse : ""));
+}
+
+function exportSlot(record) {
+    const gameName = (record.game || "game").replace(/\.img$/i, "");
+    const slotName = record.name.replace(/[^A-Za-z0-9_-]+/g, "_");
+    triggerDownload(new Uint8Array(record.state), gameName + "-" + slotName + ".v86state", "application/octet-stream");
+}
+
+async function deleteSlot(name) {
+    try {
+        await deleteSlotRecord(slotTableGame(), name);
+    } catch (e) {
+        announce("Could not delete " + name + ".");
+        return;
+    }
+    await renderSlotTable();
+    announce("Deleted slot " + name + ".");
+}
+
+/** Store .v86state files as slots for the running (else selected) game, named after the file */
+async function importSlots(files) {
+    if (!fileDB) { announce("Save slots need browser storage, which is unavailable."); return; }
+    const game = slotTableGame(), names = [];
+    try {
+        for (const f of files) {
+            const base = f.name.replace(/\.(v86state|bin|sav)$/i, "") || "Imported";
+            let name = base;
+            for (let n = 2; await getSlotRecord(game, name); n++) name = base + " (" + n + ")";
+            await saveSlotRecord(game, name, await f.arrayBuffer(), "", "");
+            names.push(name);
+        }
+    } catch (e) {
+        slotStatus.textContent = "Import failed: " + e.message;
+        announce("Import failed" + (names.length ? " after importing " + names.join(", ") : "") + ".");
+        await renderSlotTable();
+        return;
+    }
+    await renderSlotTable();
+    announce("Imported " + names.join(", ") + ".");
+}
+
+/** List the running (else selected) game's slots in the File Manager */
+async function renderSlotTable() {
+    let slots = [];
+    try {
+        slots = await listSlotRecords(slotTableGame());
+    } catch (e) {
+        slotTbody.innerHTML = "";
+        slotTable.style.display = "none";
+        slotListStatus.textContent = "Save slots unavailable.";
+        return;
+    }
+    /* Cleared after the await, so overlapping renders don't both add rows */
+    slotTbody.innerHTML = "";
+    slotTable.style.display = slots.length ? "" : "none";
+    slotListStatus.textContent = slots.length ? slots.length + " slot(s) for this game." : "No save slots for this game yet.";
+
+    for (const s of slots) {
+        const tr = document.createElement("tr");
+        for (const text of [s.name, new Date(s.timestamp).toLocaleString(), s.lastCommand, s.lastResponse]) {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        const tdAct = document.createElement("td");
+        const actions = [
+            ["Load", "Load slot " + s.name, () => loadFromSlot(s.name, s.game)],
+            ["Export", "Export slot " + s.name + " as a file", () => exportSlot(s)],
+            ["Delete", "Delete slot " + s.name, () => deleteSlot(s.name)]
+        ];
+        for (const [label, aria, action] of actions) {
+            const btn = document.createElement("button");
+            btn.className = "btn-secondary btn-sm";
+            btn.textContent = label;
+            btn.setAttribute("aria-label", aria);
+            btn.addEventListener("click", action);
+            tdAct.appendChild(btn);
+        }
+        tr.appendChild(tdAct);
+        slotTbody.appendChild(tr);
+    }
+}
+
+slotSaveBtn.addEventListener("click", () => saveToSlot(slotNameInput.value));
+slotNameInput.addEventListener("keydown", function(e) {
+    if (e.key === "Enter") { e.preventDefault(); saveToSlot(this.value); }
+});
+slotImportBtn.addEventListener("click", () => slotImportInput.click());
+slotImportInput.addEventListener("change", function() {
+    if (this.files.length) importSlots(Array.from(this.files));
+    this.value = "";
+});
+gameSelect.addEventListener("change", function() {
+    if (fileDB) renderSlotTable();
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Scroll-Aware Screen Diffing
+ *
+ * When a game scrolls, every row of the screen changes position, and a
+ * row-by-row comparison would hand all of them to speech again. Before
+ * that, refreshScreen asks findScroll whether a block of rows reappears
+ * shifted up or down (the whole screen, or a window within it). Rows
+ * that merely moved aren't spoken; rows that scrolled off the top, and
+ * a screen that was cleared or redrawn, go to scrollback (scrollback.js)
+ * instead of being lost.
+ * ═══════════════════════════════════════════ */
+
+/* A shift must carry at least this many non-blank rows to count as a scroll */
+const SCROLL_MIN_ROWS = 2;
+
+/**
+ * The largest block of rows that reappears shifted: { by, first, last }
+ * means cur[first..last] equals prev[first+by..last+by] (by > 0 for text
+ * moving up). Null when nothing scrolled.
+ */
+function findScroll(prev, cur) {
+    let best = null, bestScore = 0;
+    for (let by = 1 - ROWS; by < ROWS; by++) {
+        if (by === 0) continue;
+        const from = Math.max(0, -by), to = Math.min(ROWS, ROWS - by);
+        let first = -1, score = 0, same = 0;
+        for (let r = from; r <= to; r++) {
+            if (r < to && cur[r] === prev[r + by]) {
+                if (first < 0) { first = r; score = 0; same = 0; }
+                if (cur[r].trim()) {
+                    score++;
+                    if (cur[r] === prev[r]) same++;
+                }
+                continue;
+            }
+            /* End of a matching block: keep it if it explains more than staying put does */
+            if (first >= 0 && score >= SCROLL_MIN_ROWS && score > same && score > bestScore) {
+                best = { by, first, last: r - 1 };
+                bestScore = score;
+            }
+            first = -1;
+        }
+    }
+    return best;
+}
+
+/**
+ * True when most of the text that was on screen has been overwritten
+ * without scrolling: a cleared or redrawn screen, whose old text belongs
+ * in scrollback.
+ */
+function isScreenReplaced(prev, cur) {
+    let before = 0, replaced = 0;
+    for (let r = 0; r < ROWS; r++) {
+        if (!prev[r] || !prev[r].trim()) continue;
+        before++;
+        if (cur[r] !== prev[r]) replaced++;
+    }
+    return before >= SCROLL_MIN_ROWS && replaced * 3 >= before * 2;
+}
+
+/** The non-blank stretch of a screen's lines, blank rows above and below dropped */
+function screenTextLines(lines) {
+    let first = 0, last = lines.length - 1;
+    while (first <= last && !(lines[first] && lines[first].trim())) first++;
+    while (last >= first && !(lines[last] && lines[last].trim())) last--;
+    return lines.slice(first, last + 1);
+}
@@ -4,10 +4,13 @@
  * Screen Buffer
  * ═══════════════════════════════════════════ */
 
+/** Blank screen buffers at the current size (COLS x ROWS) */
 function initBuffer() {
-    screenBuffer = []; prevLines = [];
+    screenBuffer = []; screenAttrs = []; prevLines = [];
+    cursorRow = 0; cursorCol = 0;
     for (let r = 0; r < ROWS; r++) {
         screenBuffer[r] = new Uint8Array(COLS).fill(0x20);
+        screenAttrs[r] = new Uint8Array(COLS).fill(0x07);
         prevLines[r] = " ".repeat(COLS);
     }
     pendingChanges = []; lastResponseLines = [];
@@ -27,6 +30,23 @@ function initScreenDOM() {
     }
 }
 
+/**
+ * Follow a text mode change (40x25, 80x43, 80x50...): rebuild the
+ * buffers and screen lines at the new size, keep the reading cursor on
+ * screen, and say the new size.
+ */
+function setScreenSize(cols, rows) {
+    const from = COLS + "x" + ROWS;
+    COLS = cols; ROWS = rows;
+    initBuffer(); initScreenDOM();
+    if (textCapActive) initTextCapBuffer();
+    readRow = Math.min(readRow, ROWS - 1);
+    readCol = Math.min(readCol, COLS - 1);
+    if (keyMode === "read") updateReadingCursor();
+    trace("SCREEN", "Text mode size " + from + " -> " + cols + "x" + rows);
+    announce("Screen is now " + cols + " columns by " + rows + " lines.");
+}
+
 /* ═══════════════════════════════════════════
  * Screen Display & Filtering
  * ═══════════════════════════════════════════ */
@@ -36,7 +56,7 @@ function rowToString(r) {
      * Screen content source priority:
      * 1. Transcript capture — only when "Replace screen" is checked
      * 2. TextCap screen buffer (ANSI-positioned INT 10h text via serial)
-     * 3. VGA screen buffer (screen-put-char events in text mode)
+     * 3. VGA screen buffer (text memory, see vga-text.js)
      */
     if (transcriptCapActive && transcriptReplaceScreenToggle.checked
         && transcriptLines.length > 0) {
@@ -104,28 +124,73 @@ function refreshScreen() {
      * Both off: refreshScreen runs normally alongside transcript polling.
      */
 
+    /* Pick up what put-char events missed (restores, attribute changes) */
+    const synced = syncScreenFromVGA();
+    statusRows = findStatusRows(synced);
+    if (synced) trackHighlights();
+
     /* If transcript is replacing the screen, don't overwrite its DOM content */
     if (transcriptCapActive && transcriptReplaceScreenToggle.checked) return;
 
+    const lines = [];
     let anyChanged = false;
     for (let r = 0; r < ROWS; r++) {
-        const cur = rowToString(r);
+        lines.push(rowToString(r));
+        if (lines[r] !== prevLines[r]) anyChanged = true;
+    }
+    if (!anyChanged) return;
+
+    /* Speech, scrolling and scrollback only see the text outside screen regions (regions.js) */
+    const before = prevLines.map((l, r) => outsideRegions(r, l));
+    const after = lines.map((l, r) => outsideRegions(r, l));
+
+    /* Rows that only scrolled were heard already; text leaving the screen goes to scrollback */
+    const scroll = findScroll(before, after);
+    if (scroll) {
+        trace("SCREEN", "Scrolled " + (scroll.by > 0 ? "up " : "down ") + Math.abs(scroll.by) +
+            " (rows " + (scroll.first + 1) + "-" + (scroll.last + 1) + ")");
+        if (scroll.by > 0) addToScrollback(before.slice(scroll.first, scroll.first + scroll.by));
+    } else if (isScreenReplaced(before, after)) {
+        addToScrollback(screenTextLines(before));
+    }
+
+    for (let r = 0; r < ROWS; r++) {
+        const cur = lines[r];
         if (cur === prevLines[r]) continue;
-        anyChanged = true;
-        const el = document.getElementById("screen-line-" + r);
-        if (el) {
-            el.textContent = cur;
-            const t = cur.trim();
-            el.setAttribute("aria-label", "Line "+(r+1)+": "+(t||"blank"));
-        }
-        const trimmed = cur.trim();
-        if (trimmed) pendingChanges.push(trimmed);
-        prevLines[r] = cur;
+        showScreenRow(r, cur);
+        const trimmed = after[r].trim();
+        /* The status line is announced field by field (status-line.js), not as response text */
+        const moved = scroll && r >= scroll.first && r <= scroll.last;
+        if (trimmed && after[r] !== before[r] && !moved && !statusRows.includes(r)) pendingChanges.push(trimmed);
     }
-    if (anyChanged) {
-        clearTimeout(changeSettleTimer);
-        changeSettleTimer = setTimeout(onScreenSettled, 700);
+    prevLines = lines;
+    clearTimeout(changeSettleTimer);
+    changeSettleTimer = setTimeout(onScreenSettled, 700);
+}
+
+function showScreenRow(r, text) {
+    const el = document.getElementById("screen-line-" + r);
+    if (!el) return;
+    el.textContent = text;
+    const t = text.trim();
+    el.setAttribute("aria-label", "Line "+(r+1)+": "+(t||"blank"));
+}
+
+/**
+ * After restore_state: show the restored screen and take it as the one
+ * to diff against, so the next refresh doesn't hear its rows as a new
+ * response or send the replaced screen to scrollback.
+ */
+function adoptRestoredScreen() {
+    syncScreenFromVGA();
+    clearTimeout(changeSettleTimer);
+    pendingChanges = [];
+    const lines = [];
+    for (let r = 0; r < ROWS; r++) {
+        lines.push(rowToString(r));
+        if (lines[r] !== prevLines[r]) showScreenRow(r, lines[r]);
     }
+    prevLines = lines;
 }
 
 /**
@@ -133,7 +198,10 @@ function refreshScreen() {
  * Deduplicates, logs, and optionally speaks.
  */
 function onScreenSettled() {
-    if (!pendingChanges.length) return;
+    /* Status line and "speak on change" regions are said after any response */
+    const statusNews = readStatusChanges(), regionNews = readRegionChanges();
+    const announceNews = () => { announceStatusChanges(statusNews); announceRegionChanges(regionNews); };
+    if (!pendingChanges.length) { announceNews(); return; }
 
     trace("SCREEN", "Settled with " + pendingChanges.length + " changes, mute=" + transcriptMuteScreenToggle.checked + " autoFlush=" + autoFlushPending);
 
@@ -145,6 +213,7 @@ function onScreenSettled() {
     /* Mute screen speech: either explicitly checked, or during auto-flush. */
     if (transcriptMuteScreenToggle.checked || autoFlushPending) {
         trace("SCREEN", "Muted — discarding " + pendingChanges.length + " changes");
+        announceNews();
         pendingChanges = [];
         awaitingResponse = false;
         return;
@@ -185,6 +254,7 @@ function onScreenSettled() {
             speak(speakable.join(". "));
         }
     }
+    announceNews();
 
     pendingChanges = [];
     awaitingResponse = false;
@@ -196,7 +266,7 @@ function onScreenSettled() {
  */
 function getLastResponseFromScreen() {
     const lines = [];
-    for (let r = 0; r < ROWS; r++) lines.push(rowToString(r));
+    for (let r = 0; r < ROWS; r++) lines.push(statusRows.includes(r) ? "" : outsideRegions(r, rowToString(r)));
 
     /* Find all lines that contain the game prompt (after stripping borders) */
     const promptIndices = [];
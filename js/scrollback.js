@@ -0,0 +1,59 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Scrollback
+ *
+ * Lines that leave the screen, by scrolling off the top (screen-diff.js)
+ * or because the screen was cleared or redrawn, are kept here, oldest
+ * first, up to scrollbackSizeSelect lines. In READ mode, k and F7 carry
+ * on above the first screen row into scrollback (said as "scrollback"),
+ * with readBack holding the line's index here. Lines arriving below
+ * leave it in place; lines dropped from the front shift it down.
+ * ═══════════════════════════════════════════ */
+
+/** Keep lines that left the screen, dropping the oldest past the limit */
+function addToScrollback(lines) {
+    for (const line of lines) {
+        if (line === null || line === undefined) continue;
+        scrollback.push(line.trimEnd());
+    }
+    trimScrollback();
+    updateScrollbackStatus();
+}
+
+function trimScrollback() {
+    const limit = parseInt(scrollbackSizeSelect.value, 10);
+    const max = isNaN(limit) ? SCROLLBACK_DEFAULT_LINES : limit;
+    const dropped = Math.max(0, scrollback.length - max);
+    if (!dropped) return;
+    scrollback.splice(0, dropped);
+    /* Keep the reading cursor on its line, or on the oldest one left if its line went */
+    if (readBack >= 0) {
+        readBack = Math.max(0, readBack - dropped);
+        if (!scrollback.length) { readBack = -1; updateReadingCursor(); }
+    }
+}
+
+/** Forget every kept line */
+function clearScrollback() {
+    scrollback = [];
+    if (readBack >= 0) { readBack = -1; updateReadingCursor(); }
+    updateScrollbackStatus();
+}
+
+function updateScrollbackStatus() {
+    scrollbackStatus.textContent = scrollback.length
+        ? scrollback.length + (scrollback.length === 1 ? " line kept" : " lines kept")
+        : "";
+}
+
+scrollbackClearBtn.addEventListener("click", function() {
+    const had = scrollback.length;
+    clearScrollback();
+    announce(had ? "Scrollback cleared." : "Scrollback is already empty.");
+});
+scrollbackSizeSelect.addEventListener("change", function() {
+    trimScrollback();
+    updateScrollbackStatus();
+    saveGlobalSettings();
+});
@@ -4,12 +4,13 @@
  * localStorage: persist settings
  *
  * Global settings (same across all games):
- *   voice, speed (rate), pitch, selectedGame
+ *   voice, speed (rate), pitch, selectedGame, undoDepth, undoMemoryMB, scrollbackLines
  *   Stored under GLOBAL_STORAGE_KEY
  *
  * Per-game settings (start with preset defaults, user overrides persist):
- *   autoSpeak, speakAfterCmd, skipDecor, typingFeedback,
- *   promptChar, promptDepth, diskType, autorun, singleKey
+ *   autoSpeak, speakAfterCmd, skipDecor, announceHighlight, announceStatus, typingFeedback,
+ *   promptChar, promptDepth, statusRows, regions, diskType, autorun, singleKey, persistDisk, fastBoot, ocrMode,
+ *   and the machine profile: memoryMB, cpuThrottle, acpi, bootOrder
  *   Stored under GAME_STORAGE_PREFIX + "<game-filename>"
  * ═══════════════════════════════════════════ */
 
@@ -57,6 +58,9 @@ function saveGlobalSettings() {
         s.voiceURI = voiceSelect.value;
         s.rate = rateSlider.value;
         s.pitch = pitchSlider.value;
+        s.undoDepth = undoDepthSelect.value;
+        s.undoMemoryMB = undoMemorySelect.value;
+        s.scrollbackLines = scrollbackSizeSelect.value;
         localStorage.setItem(GLOBAL_STORAGE_KEY, JSON.stringify(s));
     } catch(e) {}
 }
@@ -70,6 +74,9 @@ function loadGlobalSettings() {
         if (s.pitch) { pitchSlider.value = s.pitch; pitchValue.textContent = parseFloat(s.pitch).toFixed(1); }
         /* Voice is restored after voices load — store URI for later */
         if (s.voiceURI) voiceSelect.dataset.savedVoice = s.voiceURI;
+        if (s.undoDepth !== undefined) undoDepthSelect.value = s.undoDepth;
+        if (s.undoMemoryMB !== undefined) undoMemorySelect.value = s.undoMemoryMB;
+        if (s.scrollbackLines !== undefined) scrollbackSizeSelect.value = s.scrollbackLines;
     } catch(e) {}
 }
 
@@ -83,13 +90,21 @@ function saveGameSettings() {
             autoSpeak: autoSpeakToggle.checked,
             speakAfterCmd: speakAfterCmdToggle.checked,
             skipDecor: skipDecorToggle.checked,
+            announceHighlight: announceHighlightToggle.checked,
+            announceStatus: announceStatusToggle.checked,
             typingFeedback: typingFeedbackSelect.value,
             promptChar: promptCharInput.value,
             promptDepth: promptDepthSelect.value,
+            statusRows: statusRowsInput.value,
+            regions: screenRegions,
             diskType: diskTypeSelect.value,
             autorun: autorunInput.value,
-            singleKey: singleKeyToggle.checked
+            singleKey: singleKeyToggle.checked,
+            persistDisk: persistDiskToggle.checked,
+            fastBoot: fastBootToggle.checked,
+            ocrMode: ocrModeSelect.value
         };
+        Object.assign(s, getMachineProfile());
         localStorage.setItem(GAME_STORAGE_PREFIX + gameName, JSON.stringify(s));
     } catch(e) {}
 }
@@ -113,6 +128,10 @@ function loadGameSettings() {
         if (preset.disk) defaults.diskType = preset.disk;
         if (preset.autorun) defaults.autorun = preset.autorun;
         if (preset.singleKey !== undefined) defaults.singleKey = preset.singleKey;
+        if (preset.ocr) defaults.ocrMode = preset.ocr;
+        if (preset.status !== undefined) defaults.statusRows = String(preset.status);
+        if (preset.regions) defaults.regions = preset.regions;
+        if (preset.machine) Object.assign(defaults, preset.machine);
     }
 
     /* Overlay any saved per-game customizations */
@@ -129,12 +148,21 @@ function loadGameSettings() {
     autoSpeakToggle.checked = !!s.autoSpeak;
     speakAfterCmdToggle.checked = s.speakAfterCmd !== false;
     skipDecorToggle.checked = s.skipDecor !== false;
+    announceHighlightToggle.checked = s.announceHighlight !== false;
+    announceStatusToggle.checked = s.announceStatus !== false;
     typingFeedbackSelect.value = s.typingFeedback || "characters";
     promptCharInput.value = s.promptChar !== undefined ? s.promptChar : ">";
     promptDepthSelect.value = s.promptDepth || "last";
+    statusRowsInput.value = s.statusRows || "auto";
+    screenRegions = Array.isArray(s.regions) ? s.regions.map(g => Object.assign({}, g)) : [];
+    renderRegionTable();
     diskTypeSelect.value = s.diskType || "floppy";
     autorunInput.value = s.autorun !== undefined ? s.autorun : "";
     singleKeyToggle.checked = !!s.singleKey;
+    persistDiskToggle.checked = !!s.persistDisk;
+    fastBootToggle.checked = s.fastBoot !== false;
+    ocrModeSelect.value = s.ocrMode || "grid";
+    applyMachineProfile(s);
 }
 
 /* ── Combined save/load (backward-compatible wrapper) ── */
@@ -158,14 +186,17 @@ function loadSettings() {
 voiceSelect.addEventListener("change", saveGlobalSettings);
 
 /* Per-game settings */
-[autoSpeakToggle, speakAfterCmdToggle, skipDecorToggle, singleKeyToggle].forEach(el =>
+[autoSpeakToggle, speakAfterCmdToggle, skipDecorToggle, announceHighlightToggle, announceStatusToggle, singleKeyToggle, persistDiskToggle, fastBootToggle, machineAcpiToggle].forEach(el =>
     el.addEventListener("change", saveGameSettings)
 );
 typingFeedbackSelect.addEventListener("change", saveGameSettings);
 promptCharInput.addEventListener("change", saveGameSettings);
+statusRowsInput.addEventListener("change", saveGameSettings);
 promptDepthSelect.addEventListener("change", saveGameSettings);
+ocrModeSelect.addEventListener("change", saveGameSettings);
 diskTypeSelect.addEventListener("change", saveGameSettings);
 autorunInput.addEventListener("change", saveGameSettings);
+[machineMemorySelect, machineCpuSelect, machineBootSelect].forEach(el => el.addEventListener("change", saveGameSettings));
 
 /* ═══════════════════════════════════════════
  * Collapsible Section Persistence
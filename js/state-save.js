@@ -32,13 +32,13 @@ function restoreState(file) {
         try {
             await emulator.restore_state(reader.result);
             fmStatus.textContent = "State restored from " + file.name + ".";
+            clearUndoRing(); /* its turns belong to the replaced session */
+            adoptRestoredScreen();
             speak("Machine state restored.");
         } catch(err) {
             fmStatus.textContent = "Restore failed: " + err;
         }
         stateRestoreBtn.disabled = false;
-        /* Re-sync screen buffer from emulator */
-        pendingChanges = [];
     };
     reader.readAsArrayBuffer(file);
 }
@@ -1,16 +1,25 @@
 "use strict";
 
 /* ═══════ State ═══════ */
+/* Text screen size; follows the game's video mode (setScreenSize) */
+let COLS = 80, ROWS = 25;
 let emulator = null, screenBuffer = [], prevLines = [];
+/* VGA attribute byte per cell, and DOS's cursor, from vga-text.js */
+let screenAttrs = [], cursorRow = 0, cursorCol = 0;
 let isReady = false, refreshTimer = null;
 let commandHistory = [], historyIndex = -1;
 let pendingChanges = [], lastResponseLines = [];
+let screenRegions = [];               /* this game's named regions (regions.js) */
+let scrollback = [];                  /* lines that left the screen, oldest first (scrollback.js) */
 let changeSettleTimer = null, awaitingResponse = false;
+let commandQueue = Promise.resolve(); /* sendCommand chain: undo snapshot, then typing */
+let commandGeneration = 0;            /* bumped by undo to drop queued commands */
 
 /* Keyboard mode: "insert" (type commands) or "read" (VI-style navigation) */
 let keyMode = "insert";
 /* Reading cursor position in read mode */
 let readRow = 0, readCol = 0;
+let readBack = -1;        /* index into scrollback while reading it, -1 on the screen */
 
 /* Transcript recording state */
 let isRecording = false;
@@ -25,7 +34,7 @@ let serialBuffer = "";
  * This enables accessibility for games running in graphics mode.
  */
 let textCapActive = false;
-let textCapBuffer = null;   /* 25x80 character grid, initialized on activation */
+let textCapBuffer = null;   /* ROWS x COLS character grid, built on activation and by setScreenSize */
 let textCapCurRow = 0;
 let textCapCurCol = 0;
 let textCapDirty = false;   /* true when buffer has changed since last render */
@@ -55,8 +64,23 @@ let autoFlushTimer = null;         /* setTimeout handle for delayed flush */
 /* Custom floppy image loaded via file picker (ArrayBuffer or null) */
 let customFloppyBlob = null;
 
+/* Drives mounted this session: { "A:": "freedos722.img", "C:": "game.img", ... } */
+let mountedDrives = {};
+
+/* File Manager: drive shown and current folder on it ("" = root, "SAVES\OLD" etc.) */
+let fmDrive = "B:";
+let fmDirPath = "";
+let fmSortKey = "name"; /* File Manager sort column: name, size, modified, attr */
+let fmSortDesc = false;
+
+/* The game disk this session booted from: { name, blob } (blob = untouched custom image or null) */
+let bootDisk = null;
+
+/* Persistent disk: set when the game disk has changed since it was last stored */
+let diskDirty = false;
+
 /* Files queued for injection onto the game disk before launch */
-let preloadFiles = []; /* Array of { name: string, data: ArrayBuffer } */
+let preloadFiles = []; /* Array of { name: string, data: ArrayBuffer, modified: Date } */
 
 /*
  * responseLog: array of response objects:
@@ -95,6 +119,9 @@ const histPrevBtn=$("hist-prev-btn"), histNextBtn=$("hist-next-btn"), histPositi
 const fmRefreshBtn=$("fm-refresh-btn"), fmUploadBtn=$("fm-upload-btn");
 const fmDlFloppyBtn=$("fm-dl-floppy-btn"), fmUploadInput=$("fm-upload-input");
 const fmStatus=$("fm-status"), fmTable=$("fm-table"), fmTbody=$("fm-tbody");
+const fmBreadcrumb=$("fm-breadcrumb"), fmMkdirBtn=$("fm-mkdir-btn");
+const fmExportZipBtn=$("fm-export-zip-btn");
+const fmCheckBtn=$("fm-check-btn"), fmRepairBtn=$("fm-repair-btn"), fmFsckReportBtn=$("fm-fsck-report-btn");
 const stateSaveBtn=$("state-save-btn"), stateRestoreBtn=$("state-restore-btn");
 const stateRestoreInput=$("state-restore-input");
 const modeIndicator=$("mode-indicator");
@@ -104,6 +131,43 @@ const transcriptPreview=$("transcript-preview"), transcriptStats=$("transcript-s
 const typingFeedbackSelect=$("typing-feedback-select");
 const gameSelect=$("game-select"), autorunInput=$("autorun-input"), diskTypeSelect=$("disk-type-select");
 const customImgInput=$("custom-img-input"), loadCustomImgBtn=$("load-custom-img-btn");
+const buildFromFolderBtn=$("build-from-folder-btn"), buildFolderInput=$("build-folder-input");
+const buildFromZipBtn=$("build-from-zip-btn"), buildZipInput=$("build-zip-input");
+const downloadBuiltImgBtn=$("download-built-img-btn");
+const persistDiskToggle=$("persist-disk-toggle"), resetDiskBtn=$("reset-disk-btn");
+const persistDiskStatus=$("persist-disk-status");
+const applyPatchBtn=$("apply-patch-btn"), diskPatchInput=$("disk-patch-input");
+const clearDiskPatchBtn=$("clear-patch-btn"), diskPatchStatus=$("disk-patch-status");
+const fmPatchBtn=$("fm-patch-btn");
+const addExtraDisksBtn=$("add-extra-disks-btn"), extraDisksInput=$("extra-disks-input");
+const clearExtraDisksBtn=$("clear-extra-disks-btn"), extraDisksStatus=$("extra-disks-status");
+const swapDiskSelect=$("swap-disk-select"), swapDriveSelect=$("swap-drive-select");
+const swapDiskBtn=$("swap-disk-btn"), ejectDiskBtn=$("eject-disk-btn");
+const attachDriveSelect=$("attach-drive-select"), attachDriveBtn=$("attach-drive-btn");
+const attachDriveInput=$("attach-drive-input"), detachDrivesBtn=$("detach-drives-btn");
+const attachedDrivesStatus=$("attached-drives-status");
+const fmDriveSelect=$("fm-drive-select"), transcriptDriveSelect=$("transcript-drive-select");
+const traceFSDriveSelect=$("trace-fs-drive-select");
+const machineMemorySelect=$("machine-memory-select"), machineCpuSelect=$("machine-cpu-select");
+const machineBootSelect=$("machine-boot-select"), machineAcpiToggle=$("machine-acpi-toggle");
+const fastBootToggle=$("fast-boot-toggle"), clearFastBootBtn=$("clear-fast-boot-btn");
+const fastBootStatus=$("fast-boot-status");
+const slotNameInput=$("slot-name-input"), slotSaveBtn=$("slot-save-btn");
+const slotImportBtn=$("slot-import-btn"), slotImportInput=$("slot-import-input");
+const slotStatus=$("slot-status"), slotListStatus=$("slot-list-status");
+const slotTable=$("slot-table"), slotTbody=$("slot-tbody");
+const ocrModeSelect=$("ocr-mode-select"), announceHighlightToggle=$("announce-highlight-toggle");
+const undoBtn=$("undo-btn"), undoDepthSelect=$("undo-depth-select");
+const undoMemorySelect=$("undo-memory-select"), undoStatus=$("undo-status");
+const scrollbackClearBtn=$("scrollback-clear-btn"), scrollbackSizeSelect=$("scrollback-size-select");
+const scrollbackStatus=$("scrollback-status");
+const statusRowsInput=$("status-rows-input"), announceStatusToggle=$("announce-status-toggle");
+const speakStatusBtn=$("speak-status-btn");
+const regionNameInput=$("region-name-input"), regionPolicySelect=$("region-policy-select");
+const regionTopInput=$("region-top-input"), regionLeftInput=$("region-left-input");
+const regionBottomInput=$("region-bottom-input"), regionRightInput=$("region-right-input");
+const regionAddBtn=$("region-add-btn"), regionStatus=$("region-status");
+const regionListStatus=$("region-list-status"), regionTable=$("region-table"), regionTbody=$("region-tbody");
 const promptCharInput=$("prompt-char-input");
 const promptDepthSelect=$("prompt-depth-select");
 const transcriptCapState=$("transcript-cap-state"), transcriptCapInfo=$("transcript-cap-info");
@@ -0,0 +1,122 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Status Line
+ *
+ * Infocom-style games keep the location, score and moves in a line
+ * drawn in another colour, usually inverse at the top. Its rows are
+ * found each refresh, either automatically (a top row whose text isn't
+ * in the screen's normal colour) or from the "Status line rows" setting,
+ * and kept out of responses. When the screen settles, the fields that
+ * changed are announced on their own ("Location: Kitchen", "Score 15");
+ * fields that change every turn, like Moves, only on request (Alt+S,
+ * or "s" in READ mode).
+ * ═══════════════════════════════════════════ */
+
+/* Fields not worth announcing: they change on every turn */
+const STATUS_QUIET_FIELDS = /^(moves|turns)$/i;
+
+let statusRows = [];        /* screen rows holding the status line */
+let statusFields = null;    /* field values when last announced, null before the first look */
+
+/**
+ * Screen rows (from 0) that hold the status line. The setting is "auto",
+ * "off" or row numbers like "1" or "1,25"; -1 counts from the bottom.
+ * Automatic detection needs colours, so only works when `hasAttrs`.
+ */
+function findStatusRows(hasAttrs) {
+    const setting = statusRowsInput.value.trim().toLowerCase() || "auto";
+    if (setting === "off") return [];
+    if (setting === "auto") return hasAttrs && isStatusRow(0) ? [0] : [];
+    const rows = [];
+    for (const part of setting.split(/[\s,]+/)) {
+        const n = parseInt(part, 10);
+        const r = n > 0 ? n - 1 : ROWS + n;
+        if (n && r >= 0 && r < ROWS && !rows.includes(r)) rows.push(r);
+    }
+    return rows;
+}
+
+/** True when most of a row's text is drawn in a colour other than the screen's normal one */
+function isStatusRow(r) {
+    const normal = normalAttr();
+    let text = 0, other = 0;
+    for (let c = 0; c < COLS; c++) {
+        if (screenBuffer[r][c] === 0x20 || screenBuffer[r][c] === 0) continue;
+        text++;
+        if (screenAttrs[r][c] !== normal) other++;
+    }
+    return text > 0 && other * 3 >= text * 2;
+}
+
+/**
+ * Split status text into [{ label, value }]. Fields are separated by two
+ * or more spaces; "Score: 15", "Moves 3" and "Time 9:30 am" are labelled
+ * (a label never ends in a digit, so a time isn't split at its colon),
+ * anything else (the room name) is a bare value. The first bare value is
+ * the location.
+ */
+function parseStatusFields(text) {
+    const fields = [];
+    let bare = 0;
+    for (const part of text.split(/\s{2,}/)) {
+        const t = stripBorderBoth(part);
+        if (!t) continue;
+        const m = t.match(/^([A-Za-z][\w .'-]*?)\s+(-?\d[\d\/:.,]*(?:\s*[ap]\.?m\.?)?)$/i) ||
+                  t.match(/^([A-Za-z](?:[\w .'-]*?[A-Za-z_.'-])?)\s*:\s*(.+)$/);
+        if (m) fields.push({ label: m[1], value: m[2] });
+        else fields.push({ label: bare++ === 0 ? "Location" : "", value: t });
+    }
+    return fields;
+}
+
+function statusLineText() {
+    return statusRows.map(r => rowToString(r).trim()).filter(t => t).join("  ");
+}
+
+/** "Location: Kitchen" for the location, "Score 15" for numbers, the text alone otherwise */
+function describeStatusField(f) {
+    if (f.label === "Location") return "Location: " + f.value;
+    return f.label ? f.label + " " + f.value : f.value;
+}
+
+/**
+ * Compare the status fields with the last look and return what to say
+ * about the ones that changed ("" if nothing did, or on the first look).
+ */
+function readStatusChanges() {
+    if (!statusRows.length) { statusFields = null; return ""; }
+    const fields = parseStatusFields(statusLineText());
+    const values = {};
+    fields.forEach((f, i) => { values[f.label || "field " + i] = f.value; });
+    const before = statusFields;
+    statusFields = values;
+    if (!before) return "";
+    const changed = fields.filter((f, i) => {
+        const key = f.label || "field " + i;
+        return before[key] !== f.value && !STATUS_QUIET_FIELDS.test(f.label);
+    });
+    if (changed.length) trace("SCREEN", "Status changed: " + changed.map(describeStatusField).join(", "));
+    return changed.map(describeStatusField).join(". ");
+}
+
+/** Say status changes after whatever response is being spoken */
+function announceStatusChanges(news) {
+    if (!news || !isReady || !announceStatusToggle.checked) return;
+    speak(news, false);
+}
+
+/** Alt+S / READ "s": say the whole status line */
+function speakStatusLine() {
+    if (!statusRows.length) { speak("No status line found."); return; }
+    const fields = parseStatusFields(statusLineText());
+    speak(fields.length ? fields.map(describeStatusField).join(", ") : "Status line is blank.");
+}
+
+/** Forget the last values, so a new game's first status line isn't announced as a change */
+function resetStatusLine() {
+    statusRows = [];
+    statusFields = null;
+}
+
+speakStatusBtn.addEventListener("click", speakStatusLine);
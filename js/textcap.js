@@ -7,8 +7,8 @@
  * When the TEXTCAP.COM TSR is running in the guest, it hooks INT 10h
  * and mirrors all BIOS text output to COM1 with ANSI cursor positioning.
  * This parser receives those serial bytes and maintains a virtual
- * 25x80 text buffer that replaces the VGA screen buffer for the
- * accessible display.
+ * ROWS x COLS text buffer (rebuilt when the text mode size changes)
+ * that replaces the VGA screen buffer for the accessible display.
  *
  * Protocol from TSR:
  *   Startup marker:  ESC [ T C ]
@@ -18,8 +18,9 @@
  */
 
 /**
- * Initialize the TextCap screen buffer — a 25x80 grid of spaces.
- * Called when we detect the TSR startup marker on the serial port.
+ * Initialize the TextCap screen buffer — a ROWS x COLS grid of spaces.
+ * Called when we detect the TSR startup marker on the serial port, and
+ * again when the text mode size changes.
  */
 function initTextCapBuffer() {
     textCapBuffer = [];
@@ -33,6 +34,25 @@ function initTextCapBuffer() {
     textCapCsiParams = "";
 }
 
+/**
+ * The TextCap screen as plain data, for the fast-boot snapshot: the
+ * machine state holds the TSR but not this JS-side buffer.
+ */
+function saveTextCapScreen() {
+    return { buffer: textCapBuffer.map(row => row.slice()), row: textCapCurRow, col: textCapCurCol };
+}
+
+/** Put back a screen from saveTextCapScreen, as much of it as fits the current size */
+function restoreTextCapScreen(saved) {
+    initTextCapBuffer();
+    for (let r = 0; r < ROWS && r < saved.buffer.length; r++) {
+        for (let c = 0; c < COLS && c < saved.buffer[r].length; c++) textCapBuffer[r][c] = saved.buffer[r][c];
+    }
+    textCapCurRow = Math.min(saved.row, ROWS - 1);
+    textCapCurCol = Math.min(saved.col, COLS - 1);
+    textCapDirty = true;
+}
+
 /**
  * Convert a TextCap buffer row to a display string.
  * Uses CP437 mapping for consistency with the VGA screen buffer.
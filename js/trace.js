@@ -57,7 +57,8 @@ function startTrace() {
           " keyMode=" + keyMode);
     if (emulator) {
         trace("STATE", "Emulator running, game=" + (gameSelect.value || "(custom)") +
-              " diskType=" + diskTypeSelect.value);
+              " diskType=" + diskTypeSelect.value +
+              " drives=" + Object.keys(mountedDrives).sort().map(function(l) { return l + mountedDrives[l]; }).join(","));
     } else {
         trace("STATE", "Emulator not started");
     }
@@ -108,6 +109,7 @@ function downloadTrace() {
         " Entries: " + traceLog.length,
         " Game: " + (gameSelect.value || "(custom)"),
         " Disk Type: " + diskTypeSelect.value,
+        " Drives: " + Object.keys(mountedDrives).sort().map(function(l) { return l + " " + mountedDrives[l]; }).join(", "),
         " FS Tracking: " + (traceFSTrackToggle ? traceFSTrackToggle.checked : "n/a"),
         " FS Snapshots taken: " + fsDiffCount,
         " User Agent: " + navigator.userAgent,
@@ -330,8 +332,9 @@ function checkTextPatterns() {
  * Filesystem snapshot & diff
  * ═══════════════════════════════════════════
  *
- * Takes a snapshot of all files on the game disk (names, sizes, first cluster,
- * cluster chain length). When a diff is requested, compares against the last
+ * Takes a snapshot of all files on the chosen drive (the game disk unless
+ * changed in the panel), including subdirectories
+ * (paths, sizes, first cluster, cluster chain length). When a diff is requested, compares against the last
  * snapshot to find new, deleted, modified, or size-changed files.
  */
 
@@ -339,13 +342,14 @@ function checkTextPatterns() {
 function takeFilesystemSnapshot() {
     if (!emulator || !isReady) return null;
 
-    var img = getDiskBytes();
+    var img = getDiskBytes(traceFSDriveSelect.value);
     if (!img) return null;
 
     var geo = parseFATGeometry(img);
     if (!geo) return null;
 
-    var dirFiles = parseFATDir(img, geo);
+    /* Walk every folder so saves written into subdirectories are tracked too */
+    var dirFiles = walkFATTree(img, geo);
     var files = [];
 
     for (var i = 0; i < dirFiles.length; i++) {
@@ -376,7 +380,7 @@ function takeFilesystemSnapshot() {
         }
 
         files.push({
-            name: f.fullName,
+            name: f.path,
             size: f.size,
             cluster: f.firstCluster,
             chainLen: chainLen,
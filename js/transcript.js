@@ -258,7 +258,7 @@ function readTranscriptFromDisk() {
         return null;
     }
 
-    const img = getDiskBytes();
+    const img = getDiskBytes(transcriptDriveSelect.value);
     if (!img) { trace("FAT", "getDiskBytes returned null"); return null; }
 
     const geo = parseFATGeometry(img);
@@ -266,11 +266,12 @@ function readTranscriptFromDisk() {
     /* Use deduplicating geometry logger — suppresses repeated identical lines */
     traceFATGeometry(geo);
 
-    const files = parseFATDir(img, geo);
+    /* The watched name may include a folder, e.g. SAVES\SCRIPT.TXT */
     const target = (transcriptWatchFilename.value || "SCRIPT.TXT").toUpperCase().trim();
 
-    const file = files.find(f => f.fullName.toUpperCase() === target);
-    if (!file) {
+    const file = findFATEntry(img, geo, target);
+    if (!file || file.isDir) {
+        const files = parseFATDir(img, geo);
         trace("FAT", target + " not found. Files: " + files.map(f => f.fullName).join(", "));
         return null;
     }
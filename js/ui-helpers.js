@@ -21,12 +21,24 @@ function enableInput() {
     speakScreenBtn.disabled = false;
     speakNewBtn.disabled = false;
     speakLastBtn.disabled = false;
+    speakStatusBtn.disabled = false;
     fmRefreshBtn.disabled = false;
     fmUploadBtn.disabled = false;
+    fmMkdirBtn.disabled = false;
+    fmCheckBtn.disabled = false;
+    fmRepairBtn.disabled = false;
     fmDlFloppyBtn.disabled = false;
+    fmExportZipBtn.disabled = false;
+    fmPatchBtn.disabled = false;
+    swapDiskSelect.disabled = false;
+    swapDriveSelect.disabled = false;
+    swapDiskBtn.disabled = false;
+    ejectDiskBtn.disabled = false;
     stateSaveBtn.disabled = false;
     stateRestoreBtn.disabled = false;
     recordBtn.disabled = false;
+    slotSaveBtn.disabled = false;
+    updateUndoStatus();
     commandInput.focus();
 }
 
@@ -0,0 +1,119 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * Undo Last Turn
+ *
+ * Before each command is typed, the whole machine is snapshotted
+ * (v86 save_state) into a ring buffer. "Undo" restores the newest
+ * snapshot, which puts the game back to just before that command, and
+ * trims the command history, response log and Output History to match.
+ * The ring holds at most undoDepthSelect turns and undoMemorySelect MB;
+ * the oldest snapshots go first. Keys sent in single-key mode are not
+ * commands and get no snapshot.
+ * ═══════════════════════════════════════════ */
+
+let undoRing = [];      /* [{ state, command, commands, responses, historyEntries }] oldest first */
+let undoRingBytes = 0;
+let undoBusy = false;   /* an undo is queued or restoring */
+
+/**
+ * Snapshot the machine before `command` is typed. `counts` are the
+ * history sizes ({ commands, responses, historyEntries }) sendCommand
+ * saw before adding this command. Resolves once the snapshot is taken
+ * (or straight away if undo is off or it fails), so the caller can type
+ * the command afterwards.
+ */
+async function recordUndoPoint(command, counts) {
+    const depth = parseInt(undoDepthSelect.value, 10) || 0;
+    if (!emulator || depth === 0 || !command.trim()) return;
+    const point = Object.assign({ command }, counts);
+    try {
+        point.state = await emulator.save_state();
+    } catch (e) {
+        trace("UNDO", "Snapshot failed: " + e.message);
+        return;
+    }
+    undoRing.push(point);
+    undoRingBytes += point.state.byteLength;
+    trimUndoRing();
+    updateUndoStatus();
+}
+
+/** Drop the oldest snapshots until the ring fits its depth and memory limits */
+function trimUndoRing() {
+    const depth = parseInt(undoDepthSelect.value, 10) || 0;
+    const maxBytes = (parseInt(undoMemorySelect.value, 10) || UNDO_DEFAULT_MEMORY_MB) * 1024 * 1024;
+    /* Always keep the newest one, even if it alone is over the memory limit */
+    while (undoRing.length > depth || (undoRing.length > 1 && undoRingBytes > maxBytes)) {
+        undoRingBytes -= undoRing.shift().state.byteLength;
+    }
+    if (depth === 0) undoRingBytes = 0;
+}
+
+/**
+ * Undo the last turn. Commands still waiting to be typed are dropped,
+ * and the restore joins the command queue, so a command being typed
+ * finishes first and commands sent meanwhile go into the restored machine.
+ */
+async function undoLastTurn() {
+    if (!emulator || !isReady || undoBusy) return;
+    undoBusy = true;
+    commandGeneration++;
+    commandQueue = commandQueue.then(restoreLastUndoPoint);
+    await commandQueue;
+}
+
+/** Restore the snapshot taken before the last command and say what was undone */
+async function restoreLastUndoPoint() {
+    const point = undoRing.pop();
+    if (!point) { undoBusy = false; speak("Nothing to undo."); return; }
+    undoRingBytes -= point.state.byteLength;
+    try {
+        await emulator.restore_state(point.state);
+    } catch (e) {
+        undoBusy = false;
+        announce("Undo failed: " + e.message);
+        updateUndoStatus();
+        return;
+    }
+    undoBusy = false;
+
+    /* Forget everything from the undone turn on */
+    commandHistory.length = Math.min(commandHistory.length, point.commands);
+    historyIndex = -1;
+    responseLog.length = Math.min(responseLog.length, point.responses);
+    responseNavIndex = responseLog.length - 1;
+    updateHistNav();
+    while (historyLog.children.length > point.historyEntries) historyLog.lastChild.remove();
+    adoptRestoredScreen();
+    lastResponseLines = [];
+    awaitingResponse = false;
+    diskDirty = true; /* the disk went back too */
+
+    trace("UNDO", "Restored snapshot from before " + JSON.stringify(point.command));
+    updateUndoStatus();
+    announce("Undid " + point.command + ". " + (undoRing.length
+        ? undoRing.length + " more turn(s) can be undone."
+        : "No more turns can be undone."));
+}
+
+/** Throw the snapshots away (new session, or undo switched off) */
+function clearUndoRing() {
+    undoRing = [];
+    undoRingBytes = 0;
+    updateUndoStatus();
+}
+
+function updateUndoStatus() {
+    undoBtn.disabled = !isReady || undoRing.length === 0;
+    undoStatus.textContent = undoRing.length
+        ? undoRing.length + " turn(s) kept, " + Math.round(undoRingBytes / 1048576) + " MB"
+        : "";
+}
+
+undoBtn.addEventListener("click", undoLastTurn);
+[undoDepthSelect, undoMemorySelect].forEach(el => el.addEventListener("change", function() {
+    trimUndoRing();
+    updateUndoStatus();
+    saveGlobalSettings();
+}));
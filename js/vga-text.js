@@ -0,0 +1,118 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * VGA Text Memory
+ *
+ * screen-put-char events carry only the character, and stop arriving
+ * when nothing changes, so after restore_state the buffer could lag the
+ * real screen. Each refresh re-reads the text buffer itself (character
+ * and attribute byte per cell) from the VGA memory behind 0xB8000, and
+ * the mode, size, active page and cursor from the BIOS data area. The
+ * attributes and cursor let speech and read mode tell highlighted menu
+ * items, inverse status bars and the input position apart. The screen
+ * follows v86's text size, so 40-column and 43/50-line modes read right.
+ * ═══════════════════════════════════════════ */
+
+const VGA_COLOR_NAMES = [
+    "black", "blue", "green", "cyan", "red", "magenta", "brown", "light grey",
+    "dark grey", "light blue", "light green", "light cyan", "light red", "pink", "yellow", "white"
+];
+
+/** Start of each VGA memory window, by the graphics controller's memory map select */
+const VGA_WINDOW_BASES = [0xA0000, 0xA0000, 0xB0000, 0xB8000];
+
+/* Text sizes outside these are passing glitches mid mode set, not modes */
+const TEXT_COLS_RANGE = [20, 160], TEXT_ROWS_RANGE = [10, 100];
+
+/**
+ * The BIOS's view of the text screen: { mode, cols, rows, page, pageOffset,
+ * cursorRow, cursorCol }, or null before there is an emulator.
+ */
+function readBiosVideoState() {
+    if (!emulator || !emulator.read_memory) return null;
+    const bda = emulator.read_memory(0x400, 0x90);
+    const page = bda[0x62] & 7;
+    return {
+        mode: bda[0x49],
+        cols: (bda[0x4A] | bda[0x4B] << 8) || 80,
+        rows: bda[0x84] ? bda[0x84] + 1 : 25,   /* 0 on BIOSes that don't keep it */
+        page,
+        pageOffset: bda[0x4E] | bda[0x4F] << 8,
+        cursorCol: bda[0x50 + page * 2],
+        cursorRow: bda[0x51 + page * 2]
+    };
+}
+
+/**
+ * Copy characters and attributes from VGA text memory into screenBuffer
+ * and screenAttrs, and the cursor into cursorRow/cursorCol. Returns
+ * false (leaving the buffers alone) in graphics modes or before boot.
+ */
+function syncScreenFromVGA() {
+    const vga = emulator && emulator.v86 && emulator.v86.cpu.devices.vga;
+    if (!vga || vga.graphical_mode || !vga.vga_memory) return false;
+    const bios = readBiosVideoState();
+    if (!bios) return false;
+
+    /* v86's own idea of the text size is current even when a game set the mode
+       by programming the registers, which leaves the BIOS's copy stale */
+    const width = vga.max_cols || bios.cols, height = vga.max_rows || bios.rows;
+    if ((width !== COLS || height !== ROWS) &&
+        width >= TEXT_COLS_RANGE[0] && width <= TEXT_COLS_RANGE[1] &&
+        height >= TEXT_ROWS_RANGE[0] && height <= TEXT_ROWS_RANGE[1]) {
+        setScreenSize(width, height);
+    }
+
+    /* vga_memory starts at the mapped window; text lives at 0xB8000 (0xB0000 in mode 7) */
+    const textBase = bios.mode === 7 ? 0xB0000 : 0xB8000;
+    const start = textBase - VGA_WINDOW_BASES[(vga.miscellaneous_graphics_register >> 2) & 3] + bios.pageOffset;
+    const mem = vga.vga_memory;
+    const rows = Math.min(height, ROWS), cols = Math.min(width, COLS);
+    for (let r = 0; r < rows; r++) {
+        const chars = screenBuffer[r], attrs = screenAttrs[r];
+        for (let c = 0, i = start + (r * width) * 2; c < cols; c++, i += 2) {
+            chars[c] = mem[i];
+            attrs[c] = mem[i + 1];
+        }
+    }
+    cursorRow = bios.cursorRow;
+    cursorCol = bios.cursorCol;
+    return true;
+}
+
+/** The attribute byte at a cell (7, light grey on black, outside the buffer) */
+function cellAttr(r, c) {
+    return screenAttrs[r] && c < COLS ? screenAttrs[r][c] : 0x07;
+}
+
+/** True when the cell is drawn dark on light, like a selected menu item or status bar */
+function isInverseAttr(attr) {
+    return ((attr >> 4) & 7) > (attr & 7);
+}
+
+/** "yellow on blue", with "inverse" and "blinking" where they apply */
+function describeAttr(attr) {
+    const fg = attr & 0x0F, bg = (attr >> 4) & 0x0F;
+    /* Bit 7 means blink unless the game switched it to bright backgrounds; assume blink */
+    const blink = (attr & 0x80) !== 0;
+    let s = VGA_COLOR_NAMES[fg] + " on " + VGA_COLOR_NAMES[blink ? bg & 7 : bg];
+    if (isInverseAttr(attr)) s += ", inverse";
+    if (blink) s += ", blinking";
+    return s;
+}
+
+/** READ mode: say the colours of the character under the reading cursor */
+function speakAttrAtCursor() {
+    speak(describeAttr(cellAttr(readRow, readCol)));
+}
+
+/** READ mode: move the reading cursor to where DOS's cursor is */
+function jumpToDOSCursor() {
+    if (!emulator || cursorRow >= ROWS) { speak("No cursor on screen."); return; }
+    readRow = cursorRow;
+    readBack = -1;
+    readCol = Math.min(cursorCol, COLS - 1);
+    updateReadingCursor();
+    const line = stripBorderBoth(rowToString(readRow));
+    speak("Cursor, line " + (readRow + 1) + ", column " + (readCol + 1) + ". " + (line || "blank line"));
+}
@@ -0,0 +1,168 @@
+"use strict";
+
+/* ═══════════════════════════════════════════
+ * ZIP Archives
+ *
+ * Just enough of the ZIP format to move DOS files in and out of the
+ * browser: stored and deflated entries, no encryption, no ZIP64.
+ * (De)compression uses the browser's CompressionStream and
+ * DecompressionStream.
+ * ═══════════════════════════════════════════ */
+
+/** Inflate raw DEFLATE data (ZIP method 8) */
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot unpack compressed ZIP files");
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read every entry of a ZIP archive.
+ * Returns [{ path, isDir, data, modified }] in archive order. path uses
+ * "/" separators as stored; data is a Uint8Array (empty for folders);
+ * modified is a Date from the entry's DOS timestamp.
+ * Throws an Error with a readable message on archives it can't handle.
+ */
+async function readZip(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    /* The end-of-central-directory record sits in the last 64KB + 22 bytes */
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error("Not a ZIP file");
+
+    const count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+    if (count === 0xFFFF || pos === 0xFFFFFFFF) throw new Error("ZIP64 archives are not supported");
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+        if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014B50) {
+            throw new Error("ZIP central directory is damaged");
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        const dosTime = view.getUint16(pos + 12, true);
+        const dosDate = view.getUint16(pos + 14, true);
+        const compSize = view.getUint32(pos + 20, true);
+        const nameLen = view.getUint16(pos + 28, true);
+        const extraLen = view.getUint16(pos + 30, true);
+        const commentLen = view.getUint16(pos + 32, true);
+        const localOff = view.getUint32(pos + 42, true);
+        const nameBytes = bytes.subarray(pos + 46, pos + 46 + nameLen);
+        /* Bit 11 marks UTF-8 names; older tools wrote code page 437 */
+        const path = (flags & 0x800) ? decoder.decode(nameBytes) : String.fromCharCode.apply(null, nameBytes);
+        pos += 46 + nameLen + extraLen + commentLen;
+
+        const isDir = path.endsWith("/");
+        let data = new Uint8Array(0);
+        if (!isDir) {
+            if (flags & 0x1) throw new Error(path + " is encrypted");
+            if (view.getUint32(localOff, true) !== 0x04034B50) throw new Error("ZIP entry " + path + " is damaged");
+            const dataStart = localOff + 30 + view.getUint16(localOff + 26, true) + view.getUint16(localOff + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compSize);
+            if (method === 0) data = raw.slice();
+            else if (method === 8) data = await inflateRaw(raw);
+            else throw new Error(path + " uses an unsupported compression method (" + method + ")");
+        }
+        entries.push({ path, isDir, data, modified: dosDateTimeToDate(dosDate, dosTime) });
+    }
+    return entries;
+}
+
+/* ── Writing ── */
+
+let crc32Table = null;
+
+/** CRC-32 (the ZIP/PNG polynomial) of a byte array */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Deflate raw (ZIP method 8), or null if the browser can't compress */
+async function deflateRaw(bytes) {
+    if (typeof CompressionStream === "undefined") return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Build a ZIP archive from [{ path, isDir, data, modified }] (the shape
+ * readZip returns). Folder paths should end in "/". Entries are
+ * deflated when that makes them smaller, otherwise stored.
+ * Returns a Uint8Array.
+ */
+async function writeZip(entries) {
+    const encoder = new TextEncoder();
+    const locals = [], centrals = [];
+    let offset = 0;
+
+    for (const e of entries) {
+        const nameBytes = encoder.encode(e.path);
+        const utf8 = /[^\x00-\x7F]/.test(e.path);
+        const data = e.isDir ? new Uint8Array(0) : e.data;
+        const crc = crc32(data);
+        let method = 0, body = data;
+        if (data.length > 0) {
+            const packed = await deflateRaw(data);
+            if (packed && packed.length < data.length) { method = 8; body = packed; }
+        }
+        const stamp = dateToDosDateTime(e.modified || new Date(1980, 0, 1));
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        const lv = new DataView(local.buffer);
+        lv.setUint32(0, 0x04034B50, true);
+        lv.setUint16(4, 20, true);                 /* version needed: 2.0 */
+        lv.setUint16(6, utf8 ? 0x800 : 0, true);
+        lv.setUint16(8, method, true);
+        lv.setUint16(10, stamp.time, true);
+        lv.setUint16(12, stamp.date, true);
+        lv.setUint32(14, crc, true);
+        lv.setUint32(18, body.length, true);
+        lv.setUint32(22, data.length, true);
+        lv.setUint16(26, nameBytes.length, true);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const cv = new DataView(central.buffer);
+        cv.setUint32(0, 0x02014B50, true);
+        cv.setUint16(4, 20, true);                 /* made by: DOS, 2.0 */
+        cv.setUint16(6, 20, true);
+        central.set(local.subarray(6, 30), 8);     /* flags..name length match the local header */
+        cv.setUint32(38, e.isDir ? 0x10 : 0x20, true); /* DOS attributes: directory / archive */
+        cv.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        locals.push(local, body);
+        centrals.push(central);
+        offset += local.length + body.length;
+    }
+
+    const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054B50, true);
+    ev.setUint16(8, entries.length, true);
+    ev.setUint16(10, entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, offset, true);
+
+    const out = new Uint8Array(offset + centralSize + 22);
+    let pos = 0;
+    for (const part of locals.concat(centrals, [end])) { out.set(part, pos); pos += part.length; }
+    return out;
+}